@@ -0,0 +1,203 @@
+const fs = require("fs");
+const path = require("path");
+
+const DEFAULT_ENEMY_CONTENT_PATH = path.join(__dirname, "content", "enemies.json");
+const DEFAULT_AGGRO_RANGE = 245;
+const DEFAULT_WANDER_SPEED = 38;
+const BOSS_ABILITY_KINDS = Object.freeze(["dash", "slam", "summon"]);
+
+function deepFreeze(value) {
+  if (value && typeof value === "object" && !Object.isFrozen(value)) {
+    Object.freeze(value);
+    for (const child of Object.values(value)) deepFreeze(child);
+  }
+  return value;
+}
+
+function requirePositive(type, field, value) {
+  const n = Number(value);
+  if (!Number.isFinite(n) || n <= 0) throw new Error(`Enemy "${type}": "${field}" must be a positive number`);
+  return n;
+}
+
+function normalizeLeash(type, raw) {
+  const leash = {
+    minX: Number(raw?.minX),
+    maxX: Number(raw?.maxX),
+    minY: Number(raw?.minY),
+    maxY: Number(raw?.maxY),
+  };
+  if (!Object.values(leash).every(Number.isFinite) || leash.minX > leash.maxX || leash.minY > leash.maxY) {
+    throw new Error(`Enemy "${type}": "leash" needs minX <= maxX and minY <= maxY`);
+  }
+  return leash;
+}
+
+function normalizeSpawnPoints(type, raw) {
+  if (!Array.isArray(raw) || raw.length === 0) {
+    throw new Error(`Enemy "${type}": "population.spawnPoints" needs at least one point`);
+  }
+  return raw.map((p) => ({
+    x: Number(p?.x) || 0,
+    y: Number(p?.y) || 0,
+    radius: Math.max(0, Number(p?.radius) || 0),
+  }));
+}
+
+function normalizeLoot(type, raw) {
+  if (raw === undefined) return [];
+  if (!Array.isArray(raw)) throw new Error(`Enemy "${type}": "loot" must be a list`);
+  return raw.map((entry) => {
+    if (!entry?.item) throw new Error(`Enemy "${type}": every "loot" entry needs an "item"`);
+    const min = Math.max(1, Math.floor(Number(entry.min) || 1));
+    return {
+      item: String(entry.item),
+      chance: clampFraction(entry.chance),
+      min,
+      max: Math.max(min, Math.floor(Number(entry.max) || min)),
+    };
+  });
+}
+
+function clampFraction(value) {
+  const n = Number(value);
+  return Number.isFinite(n) ? Math.min(1, Math.max(0, n)) : 1;
+}
+
+function normalizeAbility(type, id, raw) {
+  const kind = String(raw?.kind || "");
+  if (!BOSS_ABILITY_KINDS.includes(kind)) throw new Error(`Enemy "${type}": ability "${id}" has unknown kind "${kind}"`);
+  const ability = {
+    id,
+    kind,
+    cooldown: requirePositive(type, `boss.abilities.${id}.cooldown`, raw.cooldown),
+    telegraph: Math.max(0, Number(raw.telegraph) || 0),
+    minRange: Math.max(0, Number(raw.minRange) || 0),
+    range: 0,
+  };
+  if (kind !== "summon") ability.range = requirePositive(type, `boss.abilities.${id}.range`, raw.range);
+  if (kind === "dash") {
+    ability.distance = requirePositive(type, `boss.abilities.${id}.distance`, raw.distance);
+    ability.speed = requirePositive(type, `boss.abilities.${id}.speed`, raw.speed);
+    ability.hitRadius = requirePositive(type, `boss.abilities.${id}.hitRadius`, raw.hitRadius);
+    ability.toTarget = !!raw.toTarget;
+    ability.damageMult = Number(raw.damageMult) || 1;
+  } else if (kind === "slam") {
+    ability.radius = requirePositive(type, `boss.abilities.${id}.radius`, raw.radius);
+    ability.damageMult = Number(raw.damageMult) || 1;
+  } else {
+    if (!raw.enemyType) throw new Error(`Enemy "${type}": summon "${id}" needs an "enemyType"`);
+    ability.enemyType = String(raw.enemyType);
+    ability.count = Math.max(1, Math.floor(Number(raw.count) || 1));
+    ability.maxAlive = Math.max(ability.count, Math.floor(Number(raw.maxAlive) || ability.count));
+    ability.radius = Math.max(0, Number(raw.radius) || 0);
+  }
+  return ability;
+}
+
+// Phases are ordered from full health down; a boss is in the last phase whose `hpBelow` it has crossed.
+function normalizeBoss(type, raw) {
+  const abilities = {};
+  for (const [id, ability] of Object.entries(raw?.abilities || {})) abilities[id] = normalizeAbility(type, id, ability);
+  if (!Array.isArray(raw?.phases) || raw.phases.length === 0) {
+    throw new Error(`Enemy "${type}": "boss.phases" needs at least one phase`);
+  }
+
+  const phases = raw.phases.map((phase, i) => {
+    const entry = {
+      name: String(phase?.name || `phase${i + 1}`),
+      hpBelow: clampFraction(phase?.hpBelow),
+      abilities: Array.isArray(phase?.abilities) ? phase.abilities.map(String) : [],
+      onEnter: Array.isArray(phase?.onEnter) ? phase.onEnter.map(String) : [],
+      enrage: !!phase?.enrage,
+      speedMult: Number(phase?.speedMult) || 1,
+      damageMult: Number(phase?.damageMult) || 1,
+      cooldownMult: Number(phase?.cooldownMult) || 1,
+    };
+    for (const id of [...entry.abilities, ...entry.onEnter]) {
+      if (!abilities[id]) throw new Error(`Enemy "${type}": phase "${entry.name}" uses unknown ability "${id}"`);
+    }
+    return entry;
+  });
+  phases.sort((a, b) => b.hpBelow - a.hpBelow);
+  return { phases, abilities };
+}
+
+function normalizeArchetype(type, raw) {
+  if (!raw || typeof raw !== "object") throw new Error(`Enemy "${type}": definition must be an object`);
+  if (!raw.map) throw new Error(`Enemy "${type}": "map" is required`);
+
+  const def = {
+    type,
+    id: raw.id ? String(raw.id) : null,
+    name: String(raw.name || type),
+    group: raw.group ? String(raw.group) : null,
+    map: String(raw.map),
+    hp: requirePositive(type, "hp", raw.hp),
+    damage: requirePositive(type, "damage", raw.damage),
+    speed: requirePositive(type, "speed", raw.speed),
+    radius: requirePositive(type, "radius", raw.radius),
+    aggroRange: Number(raw.aggroRange) || DEFAULT_AGGRO_RANGE,
+    wanderSpeed: Number(raw.wanderSpeed) || DEFAULT_WANDER_SPEED,
+    leash: normalizeLeash(type, raw.leash),
+    attack: {
+      windup: requirePositive(type, "attack.windup", raw.attack?.windup),
+      cooldown: requirePositive(type, "attack.cooldown", raw.attack?.cooldown),
+    },
+    killCounter: raw.killCounter ? String(raw.killCounter) : null,
+    defeatFlag: raw.defeatFlag ? String(raw.defeatFlag) : null,
+    loot: normalizeLoot(type, raw.loot),
+    spawn: null,
+    population: null,
+    boss: null,
+  };
+
+  if (raw.spawn) {
+    if (!def.id) throw new Error(`Enemy "${type}": "spawn" is only for unique enemies with an "id"`);
+    def.spawn = {
+      minStage: Math.max(0, Number(raw.spawn.minStage) || 0),
+      flags: Array.isArray(raw.spawn.flags) ? raw.spawn.flags.map(String) : [],
+      x: Number(raw.spawn.x) || 0,
+      y: Number(raw.spawn.y) || 0,
+    };
+  }
+
+  if (raw.population) {
+    if (def.id) throw new Error(`Enemy "${type}": unique enemies cannot have a "population"`);
+    def.population = {
+      minStage: Math.max(0, Number(raw.population.minStage) || 0),
+      initial: Math.max(0, Math.floor(Number(raw.population.initial) || 0)),
+      target: Math.max(0, Math.floor(Number(raw.population.target) || 0)),
+      respawnDelayS: Math.max(0, Number(raw.population.respawnDelayS) || 0),
+      spawnPoints: normalizeSpawnPoints(type, raw.population.spawnPoints),
+    };
+  }
+
+  if (raw.boss) {
+    if (!def.id) throw new Error(`Enemy "${type}": "boss" is only for unique enemies with an "id"`);
+    def.boss = normalizeBoss(type, raw.boss);
+  }
+
+  return def;
+}
+
+function loadEnemyRegistry(filePath) {
+  const target = filePath || DEFAULT_ENEMY_CONTENT_PATH;
+  const raw = JSON.parse(fs.readFileSync(target, "utf8"));
+  if (!raw || typeof raw !== "object" || Array.isArray(raw)) {
+    throw new Error(`Enemy content ${target} must map enemy types to definitions`);
+  }
+
+  const registry = {};
+  for (const [type, def] of Object.entries(raw)) registry[type] = normalizeArchetype(type, def);
+  for (const def of Object.values(registry)) {
+    for (const ability of Object.values(def.boss?.abilities || {})) {
+      if (ability.kind === "summon" && !registry[ability.enemyType]) {
+        throw new Error(`Enemy "${def.type}": summon "${ability.id}" references unknown enemy type "${ability.enemyType}"`);
+      }
+    }
+  }
+  return deepFreeze(registry);
+}
+
+module.exports = { loadEnemyRegistry };
@@ -0,0 +1,30 @@
+const fs = require("fs");
+const path = require("path");
+
+const DEFAULT_ITEM_CONTENT_PATH = path.join(__dirname, "content", "items.json");
+
+// `shared` items go to the party inventory; everything else stays with whoever picked it up.
+function normalizeItem(id, raw) {
+  if (!raw || typeof raw !== "object") throw new Error(`Item "${id}": definition must be an object`);
+  return Object.freeze({
+    id,
+    name: String(raw.name || id),
+    shared: raw.shared === true,
+    stack: Math.max(1, Math.floor(Number(raw.stack) || 1)),
+    flag: raw.flag ? String(raw.flag) : null,
+  });
+}
+
+function loadItemRegistry(filePath) {
+  const target = filePath || DEFAULT_ITEM_CONTENT_PATH;
+  const raw = JSON.parse(fs.readFileSync(target, "utf8"));
+  if (!raw || typeof raw !== "object" || Array.isArray(raw)) {
+    throw new Error(`Item content ${target} must map item ids to definitions`);
+  }
+
+  const items = {};
+  for (const [id, def] of Object.entries(raw)) items[id] = normalizeItem(id, def);
+  return Object.freeze(items);
+}
+
+module.exports = { loadItemRegistry };
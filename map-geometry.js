@@ -0,0 +1,227 @@
+const fs = require("fs");
+const path = require("path");
+
+const DEFAULT_MAP_CONTENT_DIR = path.join(__dirname, "content", "maps");
+const DEFAULT_TILE_SIZE = 32;
+const PATH_MAX_NODES = 4000;
+const SQRT2 = Math.SQRT2;
+
+function pointInPolygon(x, y, points) {
+  let inside = false;
+  for (let i = 0, j = points.length - 1; i < points.length; j = i, i += 1) {
+    const [xi, yi] = points[i];
+    const [xj, yj] = points[j];
+    if (yi > y !== yj > y && x < ((xj - xi) * (y - yi)) / (yj - yi) + xi) inside = !inside;
+  }
+  return inside;
+}
+
+// Solids are rasterized onto a tile grid: a tile is blocked when its centre is inside a shape.
+// Maps with "source": "placeholder" are hand-drawn stand-ins for the client's maps, so they are
+// loaded as open ground: nothing is blocked and line of sight always holds.
+function buildMap(id, raw) {
+  const width = Number(raw?.width);
+  const height = Number(raw?.height);
+  if (!(width > 0) || !(height > 0)) throw new Error(`Map "${id}": "width" and "height" are required`);
+  const tileSize = Number(raw.tileSize) || DEFAULT_TILE_SIZE;
+  const cols = Math.ceil(width / tileSize);
+  const rows = Math.ceil(height / tileSize);
+  const blocked = new Uint8Array(cols * rows);
+  // `source` records where the solids came from.
+  const source = String(raw.source || "unknown");
+  const open = source === "placeholder";
+  const rects = !open && Array.isArray(raw.solids) ? raw.solids : [];
+  const polygons =
+    !open && Array.isArray(raw.polygons) ? raw.polygons.filter((p) => Array.isArray(p) && p.length >= 3) : [];
+
+  for (let row = 0; row < rows; row += 1) {
+    for (let col = 0; col < cols; col += 1) {
+      const cx = (col + 0.5) * tileSize;
+      const cy = (row + 0.5) * tileSize;
+      const hitRect = rects.some((r) => cx >= r.x && cx < r.x + r.w && cy >= r.y && cy < r.y + r.h);
+      if (hitRect || polygons.some((points) => pointInPolygon(cx, cy, points))) blocked[row * cols + col] = 1;
+    }
+  }
+
+  const spawn = { x: Number(raw.spawn?.x) || width / 2, y: Number(raw.spawn?.y) || height / 2 };
+  const map = { id, width, height, tileSize, source, open, cols, rows, blocked, spawn: Object.freeze(spawn), entries: {} };
+  if (isBlockedAt(map, spawn.x, spawn.y)) throw new Error(`Map "${id}": spawn point is inside a solid`);
+
+  // `entries` maps the id of a neighbouring map to where players arrive from it; the rest use `spawn`.
+  for (const [from, point] of Object.entries(raw.entries || {})) {
+    const entry = { x: Number(point?.x), y: Number(point?.y) };
+    if (!Number.isFinite(entry.x) || !Number.isFinite(entry.y)) throw new Error(`Map "${id}": entry from "${from}" needs x and y`);
+    if (isBlockedAt(map, entry.x, entry.y)) throw new Error(`Map "${id}": entry from "${from}" is inside a solid`);
+    map.entries[from] = Object.freeze(entry);
+  }
+  map.entries = Object.freeze(map.entries);
+  return map;
+}
+
+function loadMapGeometry(dirPath) {
+  const dir = dirPath || DEFAULT_MAP_CONTENT_DIR;
+  const maps = {};
+  for (const file of fs.readdirSync(dir).filter((f) => f.endsWith(".json")).sort()) {
+    const raw = JSON.parse(fs.readFileSync(path.join(dir, file), "utf8"));
+    const id = String(raw?.id || path.basename(file, ".json"));
+    maps[id] = Object.freeze(buildMap(id, raw));
+  }
+  return Object.freeze(maps);
+}
+
+function tileOf(map, x, y) {
+  return {
+    col: Math.floor(x / map.tileSize),
+    row: Math.floor(y / map.tileSize),
+  };
+}
+
+function tileBlocked(map, col, row) {
+  if (map.open) return false;
+  if (col < 0 || row < 0 || col >= map.cols || row >= map.rows) return true;
+  return map.blocked[row * map.cols + col] === 1;
+}
+
+function isBlockedAt(map, x, y) {
+  const { col, row } = tileOf(map, x, y);
+  return tileBlocked(map, col, row);
+}
+
+function tileCenter(map, col, row) {
+  return { x: (col + 0.5) * map.tileSize, y: (row + 0.5) * map.tileSize };
+}
+
+function nearestOpenPoint(map, x, y, maxRing = 8) {
+  if (!isBlockedAt(map, x, y)) return { x, y };
+  const { col, row } = tileOf(map, x, y);
+  for (let ring = 1; ring <= maxRing; ring += 1) {
+    for (let dr = -ring; dr <= ring; dr += 1) {
+      for (let dc = -ring; dc <= ring; dc += 1) {
+        if (Math.max(Math.abs(dr), Math.abs(dc)) !== ring) continue;
+        if (!tileBlocked(map, col + dc, row + dr)) return tileCenter(map, col + dc, row + dr);
+      }
+    }
+  }
+  return null;
+}
+
+function hasLineOfSight(map, a, b) {
+  const step = map.tileSize / 2;
+  const d = Math.hypot(b.x - a.x, b.y - a.y);
+  const steps = Math.ceil(d / step);
+  for (let i = 1; i < steps; i += 1) {
+    const t = i / steps;
+    if (isBlockedAt(map, a.x + (b.x - a.x) * t, a.y + (b.y - a.y) * t)) return false;
+  }
+  return true;
+}
+
+function heapPush(heap, node) {
+  heap.push(node);
+  let i = heap.length - 1;
+  while (i > 0) {
+    const parent = (i - 1) >> 1;
+    if (heap[parent].f <= heap[i].f) break;
+    [heap[parent], heap[i]] = [heap[i], heap[parent]];
+    i = parent;
+  }
+}
+
+function heapPop(heap) {
+  const top = heap[0];
+  const last = heap.pop();
+  if (heap.length > 0) {
+    heap[0] = last;
+    let i = 0;
+    for (;;) {
+      const l = i * 2 + 1;
+      const r = l + 1;
+      let smallest = i;
+      if (l < heap.length && heap[l].f < heap[smallest].f) smallest = l;
+      if (r < heap.length && heap[r].f < heap[smallest].f) smallest = r;
+      if (smallest === i) break;
+      [heap[smallest], heap[i]] = [heap[i], heap[smallest]];
+      i = smallest;
+    }
+  }
+  return top;
+}
+
+function octile(dc, dr) {
+  const ax = Math.abs(dc);
+  const ay = Math.abs(dr);
+  return Math.max(ax, ay) + (SQRT2 - 1) * Math.min(ax, ay);
+}
+
+// A* over the tile grid with 8-way moves and no corner cutting. `bounds` (an enemy leash)
+// keeps the search inside the area the enemy is allowed to walk. Returns waypoints from the
+// first step to `to`, or null when the goal is unreachable within the node budget.
+function findPath(map, from, to, bounds = null) {
+  const start = tileOf(map, from.x, from.y);
+  const goal = tileOf(map, to.x, to.y);
+  if (tileBlocked(map, goal.col, goal.row)) return null;
+
+  const inBounds = (col, row) => {
+    if (!bounds) return true;
+    const c = tileCenter(map, col, row);
+    return c.x >= bounds.minX && c.x <= bounds.maxX && c.y >= bounds.minY && c.y <= bounds.maxY;
+  };
+  if (!inBounds(goal.col, goal.row)) return null;
+  if (map.open) return [to];
+
+  const key = (col, row) => row * map.cols + col;
+  const startKey = key(start.col, start.row);
+  const goalKey = key(goal.col, goal.row);
+  const cameFrom = new Map();
+  const gScore = new Map([[startKey, 0]]);
+  const closed = new Set();
+  const open = [];
+  heapPush(open, { col: start.col, row: start.row, f: octile(goal.col - start.col, goal.row - start.row) });
+
+  let expanded = 0;
+  while (open.length > 0 && expanded < PATH_MAX_NODES) {
+    const node = heapPop(open);
+    const nodeKey = key(node.col, node.row);
+    if (closed.has(nodeKey)) continue;
+    closed.add(nodeKey);
+    expanded += 1;
+
+    if (nodeKey === goalKey) {
+      const points = [to];
+      let cursor = cameFrom.get(nodeKey);
+      while (cursor !== undefined && cursor !== startKey) {
+        points.push(tileCenter(map, cursor % map.cols, Math.floor(cursor / map.cols)));
+        cursor = cameFrom.get(cursor);
+      }
+      return points.reverse();
+    }
+
+    for (let dr = -1; dr <= 1; dr += 1) {
+      for (let dc = -1; dc <= 1; dc += 1) {
+        if (dr === 0 && dc === 0) continue;
+        const col = node.col + dc;
+        const row = node.row + dr;
+        if (tileBlocked(map, col, row) || !inBounds(col, row)) continue;
+        if (dr !== 0 && dc !== 0 && (tileBlocked(map, node.col + dc, node.row) || tileBlocked(map, node.col, node.row + dr))) {
+          continue;
+        }
+        const nextKey = key(col, row);
+        if (closed.has(nextKey)) continue;
+        const g = gScore.get(nodeKey) + (dr !== 0 && dc !== 0 ? SQRT2 : 1);
+        if (g >= (gScore.get(nextKey) ?? Infinity)) continue;
+        gScore.set(nextKey, g);
+        cameFrom.set(nextKey, nodeKey);
+        heapPush(open, { col, row, f: g + octile(goal.col - col, goal.row - row) });
+      }
+    }
+  }
+  return null;
+}
+
+module.exports = {
+  loadMapGeometry,
+  isBlockedAt,
+  nearestOpenPoint,
+  hasLineOfSight,
+  findPath,
+};
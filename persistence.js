@@ -0,0 +1,92 @@
+const fs = require("fs");
+const path = require("path");
+
+const DEFAULT_FILE_PATH = path.join(__dirname, "data", "rooms.json");
+const DEFAULT_SQLITE_PATH = path.join(__dirname, "data", "rooms.sqlite");
+
+function createNoopStore() {
+  return {
+    name: "none",
+    loadRooms: () => [],
+    saveRooms: () => {},
+    close: () => {},
+  };
+}
+
+function createFileStore(filePath) {
+  const target = filePath || DEFAULT_FILE_PATH;
+
+  return {
+    name: "file",
+    loadRooms() {
+      if (!fs.existsSync(target)) return [];
+      const parsed = JSON.parse(fs.readFileSync(target, "utf8"));
+      return Array.isArray(parsed?.rooms) ? parsed.rooms : [];
+    },
+    saveRooms(snapshots) {
+      fs.mkdirSync(path.dirname(target), { recursive: true });
+      const tmp = `${target}.tmp`;
+      fs.writeFileSync(tmp, JSON.stringify({ savedAt: Date.now(), rooms: snapshots }));
+      fs.renameSync(tmp, target);
+    },
+    close: () => {},
+  };
+}
+
+// node:sqlite only exists from Node.js 22.5; older builds get null.
+function loadSqlite() {
+  try {
+    return require("node:sqlite");
+  } catch (_err) {
+    return null;
+  }
+}
+
+function createSqliteStore(sqlite, filePath) {
+  const target = filePath || DEFAULT_SQLITE_PATH;
+  fs.mkdirSync(path.dirname(target), { recursive: true });
+  const db = new sqlite.DatabaseSync(target);
+  db.exec("CREATE TABLE IF NOT EXISTS rooms (id TEXT PRIMARY KEY, data TEXT NOT NULL, updated_at INTEGER NOT NULL)");
+
+  const selectAll = db.prepare("SELECT data FROM rooms");
+  const upsert = db.prepare(
+    "INSERT INTO rooms (id, data, updated_at) VALUES (?, ?, ?) ON CONFLICT(id) DO UPDATE SET data = excluded.data, updated_at = excluded.updated_at",
+  );
+  const deleteAll = db.prepare("DELETE FROM rooms");
+
+  return {
+    name: "sqlite",
+    loadRooms() {
+      return selectAll.all().map((row) => JSON.parse(row.data));
+    },
+    saveRooms(snapshots) {
+      const now = Date.now();
+      db.exec("BEGIN");
+      try {
+        deleteAll.run();
+        for (const snapshot of snapshots) upsert.run(String(snapshot.id), JSON.stringify(snapshot), now);
+        db.exec("COMMIT");
+      } catch (err) {
+        db.exec("ROLLBACK");
+        throw err;
+      }
+    },
+    close: () => db.close(),
+  };
+}
+
+function createPersistence({ backend, filePath } = {}) {
+  const id = String(backend || "file").toLowerCase();
+  if (id === "none" || id === "off") return createNoopStore();
+  if (id === "sqlite") {
+    const sqlite = loadSqlite();
+    if (sqlite) return createSqliteStore(sqlite, filePath);
+    // PERSIST_PATH names the SQLite file, so the fallback keeps to the default JSON path.
+    console.error(`[persist] SQLite persistence needs Node.js 22.5 or newer (running ${process.version}); using the file store`);
+    return createFileStore();
+  }
+  if (id === "file") return createFileStore(filePath);
+  throw new Error(`Unknown persistence backend "${backend}"`);
+}
+
+module.exports = { createPersistence };
@@ -2,6 +2,12 @@ const express = require("express");
 const http = require("http");
 const cors = require("cors");
 const { Server } = require("socket.io");
+const { createPersistence } = require("./persistence");
+const { loadEnemyRegistry } = require("./enemy-registry");
+const { loadWorldObjects } = require("./world-objects");
+const { loadItemRegistry } = require("./item-registry");
+const { createSessionTokens, makeSessionNonce } = require("./session-tokens");
+const { loadMapGeometry, isBlockedAt, nearestOpenPoint, hasLineOfSight, findPath } = require("./map-geometry");
 
 const app = express();
 app.use(cors({ origin: true }));
@@ -12,10 +18,100 @@ const io = new Server(server, { cors: { origin: "*" } });
 
 const rooms = new Map(); // roomId -> room
 const playerRoom = new Map(); // socketId -> roomId
+const lateJoinRequests = new Map(); // socketId -> pending late join awaiting the leader
+const spectatorRoom = new Map(); // socketId -> roomId for spectators
+const matchQueue = new Map(); // socketId -> quick-play ticket
 const SERVER_TICK_MS = 50;
 const GAME_STATE_EMIT_MS = 180;
+const STATE_INTEREST_RADIUS = 1100;
+const STATE_MAX_UNACKED = 30;
 const PLAYER_RECONNECT_GRACE_MS = 3 * 60 * 1000;
+const SESSION_REFRESH_MS = PLAYER_RECONNECT_GRACE_MS / 3;
 const EMPTY_STARTED_ROOM_GRACE_MS = 8 * 60 * 1000;
+const PERSIST_INTERVAL_MS = 30 * 1000;
+const PERSIST_DEBOUNCE_MS = 1500;
+const QUEST_REJECT_LOG_MS = 10 * 1000;
+const PARTY_RESCALE_DELAY_MS = 20 * 1000;
+const LATE_JOIN_APPROVAL_MS = 15 * 1000;
+const MAX_SPECTATORS = 8;
+const START_COUNTDOWN_S = 5;
+const START_COUNTDOWN_MAX_S = 30;
+const FORCE_START_AFTER_S = 60;
+const MATCH_RELAX_MS = 30 * 1000;
+const MATCH_SOLO_MS = 60 * 1000;
+const MATCH_QUEUE_MAX_MS = 5 * 60 * 1000;
+const WAVE_SNAPSHOT_MAX_BYTES = 32 * 1024;
+
+// The only events a spectator socket may send; everything else is refused before its handler runs.
+const SPECTATOR_EVENTS = Object.freeze(["room:list", "room:spectate", "room:spectate:leave", "game:ack", "chat:send"]);
+
+// Clients send { protocol, capabilities } in the socket.io auth payload. Versions from
+// MIN_PROTOCOL_VERSION up to PROTOCOL_VERSION are accepted, older ones with `compat` set for shims;
+// anything older still is told to reload. Protocol 1 is the original client, which sends nothing. It
+// has no session tokens and reports quest flags the server now owns, so there is no shim for it.
+const PROTOCOL_VERSION = 2;
+const MIN_PROTOCOL_VERSION = 2;
+// Optional features a client has to ask for; without them the server falls back as noted.
+const SERVER_CAPABILITIES = Object.freeze([
+  "state-delta", // otherwise every game state is a full game:state snapshot
+  "chat", // otherwise no chat:message events or chat history, and chat:send is refused
+  "leader-migrate", // otherwise no leader:migrate wave checkpoint on becoming leader
+]);
+const LEGACY_PROTOCOL = Object.freeze({ version: 1, compat: true, capabilities: Object.freeze([]) });
+
+const CHAT_HISTORY_LIMIT = 50;
+const CHAT_MAX_LENGTH = 200;
+const CHAT_RATE_WINDOW_MS = 10 * 1000;
+const CHAT_RATE_MAX = 6;
+const CHAT_BLOCKED_WORDS = String(process.env.CHAT_BLOCKED_WORDS || "")
+  .split(",")
+  .map((w) => w.trim().toLowerCase())
+  .filter(Boolean);
+const CHAT_FILTER = CHAT_BLOCKED_WORDS.length
+  ? new RegExp(`\\b(${CHAT_BLOCKED_WORDS.map(escapeRegExp).join("|")})\\b`, "gi")
+  : null;
+
+// Quick-chat presets; `ping` ones carry the sender's position so clients can mark it on the map.
+const QUICK_CHAT_PRESETS = Object.freeze({
+  need_help: Object.freeze({ text: "Need help!", ping: true }),
+  on_my_way: Object.freeze({ text: "On my way", ping: false }),
+  going_to_cave: Object.freeze({ text: "Going to the cave", ping: true }),
+  boss_here: Object.freeze({ text: "Boss here!", ping: true }),
+  loot_here: Object.freeze({ text: "Loot here", ping: true }),
+  wait_up: Object.freeze({ text: "Wait for me", ping: false }),
+  ready: Object.freeze({ text: "Ready", ping: false }),
+  thanks: Object.freeze({ text: "Thanks!", ping: false }),
+});
+const PLAYER_MAX_HP = 100;
+const PLAYER_HIT_RADIUS = 14;
+const ENEMY_ATTACK_REACH = 22;
+const PLAYER_MAX_SPEED = 240;
+const PLAYER_MOVE_SLACK = 48;
+// How far from a map's entry point (or spawn) a player may first appear on it.
+const MAP_ENTRY_RADIUS = 160;
+const PATH_REPATH_S = 0.5;
+const PATH_WAYPOINT_REACHED = 6;
+const SWING_COOLDOWN_TOLERANCE = 0.15;
+const SWING_MULTI_HIT_MS = 120;
+const PLAYER_BLEED_OUT_S = 30;
+const PLAYER_REVIVE_S = 3;
+const PLAYER_REVIVE_RANGE = 56;
+const PLAYER_REVIVE_HP = 0.35;
+// Enemy hits read the `blocking`/`dodging` flags from the player's last accepted player:state.
+const PLAYER_BLOCK_DAMAGE_MULT = 0.3;
+
+const persistence = createPersistence({
+  backend: process.env.PERSIST_BACKEND,
+  filePath: process.env.PERSIST_PATH,
+});
+// Connected players get a fresh token every SESSION_REFRESH_MS, so the last one they hold can be that
+// old when they drop; adding it to the grace keeps the token valid until the slot is released.
+const sessionTokens = createSessionTokens({
+  secret: process.env.SESSION_SECRET,
+  ttlMs: PLAYER_RECONNECT_GRACE_MS + SESSION_REFRESH_MS,
+});
+let lastPersistAt = 0;
+let persistTimer = null;
 
 const DIFFICULTY_MULT = Object.freeze({
   easy: 0.7,
@@ -24,34 +120,112 @@ const DIFFICULTY_MULT = Object.freeze({
   impossible: 2.0,
 });
 
-const WOLF_LEASH = Object.freeze({
-  minX: 950,
-  maxX: 1860,
-  minY: 100,
-  maxY: 1080,
-});
+// Bounds, spawn point and collision grid per map id, from content/maps/*.json.
+const MAPS = loadMapGeometry(process.env.MAP_CONTENT_DIR);
+const DEFAULT_MAP = "village";
+const PLACEHOLDER_MAPS = Object.values(MAPS)
+  .filter((map) => map.source === "placeholder")
+  .map((map) => map.id);
+if (PLACEHOLDER_MAPS.length > 0) {
+  console.warn(`[maps] ${PLACEHOLDER_MAPS.join(", ")} use placeholder geometry; treating them as open ground`);
+}
+
+// Map changes are only accepted along these edges; `requires` names a quest flag.
+const MAP_TRANSITIONS = Object.freeze([
+  Object.freeze({ from: "village", to: "silver" }),
+  Object.freeze({ from: "silver", to: "village" }),
+  Object.freeze({ from: "village", to: "iron" }),
+  Object.freeze({ from: "iron", to: "village" }),
+  Object.freeze({ from: "iron", to: "cave", requires: "openedCave" }),
+  Object.freeze({ from: "cave", to: "iron" }),
+  Object.freeze({ from: "village", to: "final", requires: "wizardGateOpened" }),
+  Object.freeze({ from: "final", to: "village" }),
+]);
 
-const BANDIT_LEASH = Object.freeze({
-  minX: 900,
-  maxX: 1760,
-  minY: 250,
-  maxY: 1380,
+// Anything a client sends outside these fields (plus map/x/y) is dropped before rebroadcast.
+const PLAYER_STATE_SCHEMA = Object.freeze({
+  facing: Object.freeze({ type: "number", min: -10, max: 10 }),
+  dir: Object.freeze({ type: "string", max: 12 }),
+  anim: Object.freeze({ type: "string", max: 24 }),
+  animT: Object.freeze({ type: "number", min: 0, max: 1e6 }),
+  vx: Object.freeze({ type: "number", min: -PLAYER_MAX_SPEED * 2, max: PLAYER_MAX_SPEED * 2 }),
+  vy: Object.freeze({ type: "number", min: -PLAYER_MAX_SPEED * 2, max: PLAYER_MAX_SPEED * 2 }),
+  moving: Object.freeze({ type: "boolean" }),
+  attacking: Object.freeze({ type: "boolean" }),
+  heavy: Object.freeze({ type: "boolean" }),
+  blocking: Object.freeze({ type: "boolean" }),
+  dodging: Object.freeze({ type: "boolean" }),
 });
 
-const DIRE_LEASH = Object.freeze({
-  minX: 1280,
-  maxX: 1860,
-  minY: 80,
-  maxY: 370,
+// Damage is always computed here; the `damage` a client sends with a hit is ignored.
+const PLAYER_WEAPONS = Object.freeze({
+  sword: Object.freeze({
+    light: Object.freeze({
+      damage: 18,
+      range: 68,
+      cooldownMs: 320,
+      maxTargets: 1,
+      critChance: 0.1,
+      critMult: 1.5,
+      critOnWindup: false,
+    }),
+    heavy: Object.freeze({
+      damage: 40,
+      range: 96,
+      cooldownMs: 780,
+      maxTargets: 3,
+      critChance: 0.15,
+      critMult: 1.75,
+      critOnWindup: true,
+    }),
+  }),
 });
+const DEFAULT_WEAPON = "sword";
 
-const WARLORD_CAVE_LEASH = Object.freeze({
-  minX: 90,
-  maxX: 820,
-  minY: 90,
-  maxY: 570,
+const ENEMY_TYPES = loadEnemyRegistry(process.env.ENEMY_CONTENT_PATH);
+
+const ENEMY_CORPSE_S = 5;
+
+const WORLD_OBJECTS = loadWorldObjects(process.env.WORLD_CONTENT_PATH);
+const WORLD_INTERACT_SLACK = 24;
+
+const ITEMS = loadItemRegistry(process.env.ITEM_CONTENT_PATH);
+const LOOT_DROP_TTL_S = 120;
+const LOOT_PICKUP_RANGE = 56;
+const LOOT_SCATTER = 28;
+
+// Living enemies allowed per map at once; respawns and wave rounds wait while a map is full.
+const MAP_POPULATION_CAP = Object.freeze({
+  silver: 14,
+  iron: 14,
+  cave: 6,
+  final: 18,
 });
 
+const FINAL_WAVE_MAP = "final";
+
+const FINAL_WAVE_SPAWN_POINTS = Object.freeze([
+  Object.freeze({ x: 180, y: 180 }),
+  Object.freeze({ x: 1420, y: 180 }),
+  Object.freeze({ x: 180, y: 920 }),
+  Object.freeze({ x: 1420, y: 920 }),
+]);
+
+// Rounds start at `at` seconds into the wave, or early once the previous round is cleared.
+// `spawns` maps enemy types from content/enemies.json to how many of each arrive.
+const FINAL_WAVE_SCHEDULE = Object.freeze([
+  Object.freeze({ at: 0, spawns: Object.freeze({ wave_wolf: 4 }) }),
+  Object.freeze({ at: 25, spawns: Object.freeze({ wave_wolf: 3, wave_bandit: 2 }) }),
+  Object.freeze({ at: 50, spawns: Object.freeze({ wave_bandit: 4 }) }),
+  Object.freeze({ at: 75, spawns: Object.freeze({ wave_wolf: 4, wave_bandit: 3 }) }),
+]);
+const FINAL_WAVE_BREATHER_S = 4;
+const FINAL_WAVE_PART_ITEM = "key_part";
+// Leader-run waves have no server-side enemies, so their key parts drop in the middle of the arena.
+const FINAL_WAVE_PART_DROP = Object.freeze({ x: 800, y: 550 });
+
+const WAVE_MODES = Object.freeze(["server", "leader"]);
+
 const QUEST_NUM_KEYS = Object.freeze([
   "wolvesSlain",
   "banditsSlain",
@@ -79,6 +253,48 @@ const QUEST_BOOL_KEYS = Object.freeze([
   "finalDarkDefeated",
 ]);
 
+// Wipes and bleed-outs respawn at the map spawn of the last checkpoint the party has reached.
+const QUEST_CHECKPOINTS = Object.freeze([
+  Object.freeze({ stage: 0, map: "village" }),
+  Object.freeze({ stage: 6, map: "silver" }),
+  Object.freeze({ stage: 10, map: "iron" }),
+  Object.freeze({ stage: 14, map: "cave" }),
+  Object.freeze({ stage: 14, flags: Object.freeze(["finalWaveStarted"]), map: "final" }),
+]);
+
+// Every stage at or above `stage` needs these flags already set on the server.
+const QUEST_STAGE_GATES = Object.freeze([
+  Object.freeze({ stage: 6, flags: Object.freeze(["gotPelt"]) }),
+  Object.freeze({ stage: 10, flags: Object.freeze(["gotPelt", "direDefeated"]) }),
+  Object.freeze({ stage: 14, flags: Object.freeze(["openedCave"]) }),
+]);
+
+// `server` keys only change through server-side kill/pickup paths, never through quest:sync.
+// World object flags (content/world.json) keep their prerequisites on the object itself.
+const QUEST_RULES = Object.freeze({
+  wolvesSlain: Object.freeze({ server: true }),
+  banditsSlain: Object.freeze({ server: true }),
+  finalWaveTotalKills: Object.freeze({ server: true }),
+  gotPelt: Object.freeze({ counts: Object.freeze({ wolvesSlain: 1 }) }),
+  direDefeated: Object.freeze({ server: true }),
+  foundCrowbar: Object.freeze({ server: true }),
+  openedCave: Object.freeze({ server: true }),
+  caveCrestTaken: Object.freeze({ server: true }),
+  askedAboutDarkPrince: Object.freeze({ flags: Object.freeze(["caveCrestTaken"]) }),
+  wizardGateOpened: Object.freeze({ server: true }),
+  gotCrest: Object.freeze({ flags: Object.freeze(["caveCrestTaken"]) }),
+  crestTauntPlayed: Object.freeze({ flags: Object.freeze(["gotCrest"]) }),
+  warlordDefeated: Object.freeze({ server: true }),
+  finalWaveStarted: Object.freeze({ flags: Object.freeze(["warlordDefeated"]) }),
+  finalWaveKeyTaken: Object.freeze({ server: true }),
+  finalMazeKeyTaken: Object.freeze({ server: true }),
+  finalFangPlaced: Object.freeze({ server: true }),
+  finalSignetPlaced: Object.freeze({ server: true }),
+  finalMiniTriggered: Object.freeze({ flags: Object.freeze(["finalFangPlaced", "finalSignetPlaced"]) }),
+  finalMiniDefeated: Object.freeze({ server: true }),
+  finalDarkDefeated: Object.freeze({ server: true }),
+});
+
 function clamp(v, min, max) {
   return Math.max(min, Math.min(max, v));
 }
@@ -87,15 +303,23 @@ function dist(a, b) {
   return Math.hypot(a.x - b.x, a.y - b.y);
 }
 
+function isValidDifficulty(id) {
+  return typeof id === "string" && Object.hasOwn(DIFFICULTY_MULT, id);
+}
+
 function roomDifficultyMult(room) {
-  const id = String(room?.difficulty || "medium");
-  return DIFFICULTY_MULT[id] || 1;
+  return isValidDifficulty(room?.difficulty) ? DIFFICULTY_MULT[room.difficulty] : 1;
 }
 
 function roomPartySize(room) {
   return Math.max(1, connectedPlayers(room).length || 1);
 }
 
+// The party size enemy HP is currently scaled for; it trails the connected count (see updatePartyScale).
+function scaledPartySize(room) {
+  return Math.max(1, Number(room?.game?.partyScale?.size) || roomPartySize(room));
+}
+
 function connectedPlayers(room) {
   if (!room || !Array.isArray(room.players)) return [];
   return room.players.filter((p) => p && p.connected !== false);
@@ -115,6 +339,14 @@ function ensureRoomLeader(room) {
   return leader;
 }
 
+// For the places where membership or connection state changes; read paths use roomLeader,
+// which never emits anything.
+function reassignRoomLeader(room) {
+  const leader = ensureRoomLeader(room);
+  if (leader) migrateWaveLeader(room, leader);
+  return leader;
+}
+
 function normalizeClientId(raw, socketId) {
   const value = String(raw || "").trim().slice(0, 96);
   if (value) return value;
@@ -161,32 +393,116 @@ function sanitizeQuestSync(raw) {
   return out;
 }
 
-function mergeQuestSync(target, incoming) {
-  if (!incoming || typeof incoming !== "object") return false;
-  let changed = false;
+function questRuleFor(key, room) {
+  // Leader-run waves count their own kills, so the client total is the only one there is.
+  if (key === "finalWaveTotalKills" && room?.waveMode === "leader") return {};
+  return QUEST_RULES[key] || {};
+}
+
+function missingQuestRequirements(quest, rule) {
+  const missing = [];
+  if (rule.stage && quest.stage < rule.stage) missing.push(`stage>=${rule.stage}`);
+  for (const flag of rule.flags || []) {
+    if (!quest[flag]) missing.push(flag);
+  }
+  for (const [key, min] of Object.entries(rule.counts || {})) {
+    if ((Number(quest[key]) || 0) < min) missing.push(`${key}>=${min}`);
+  }
+  return missing;
+}
 
-  const nextStage = Math.max(0, Number(incoming.stage) || 0);
-  if (nextStage > target.stage) {
-    target.stage = nextStage;
-    changed = true;
+function stageRuleFor(fromStage, toStage) {
+  const flags = new Set();
+  for (const gate of QUEST_STAGE_GATES) {
+    if (gate.stage > fromStage && gate.stage <= toStage) {
+      for (const flag of gate.flags) flags.add(flag);
+    }
   }
+  return { flags: [...flags] };
+}
+
+function mergeQuestSync(target, incoming, room = null) {
+  const result = { changed: false, rejected: [] };
+  if (!incoming || typeof incoming !== "object") return result;
+
+  const pending = [];
+  const nextStage = Math.max(0, Number(incoming.stage) || 0);
+  if (nextStage > target.stage) pending.push({ key: "stage", value: nextStage });
 
   for (const key of QUEST_NUM_KEYS) {
     const next = Math.max(0, Number(incoming[key]) || 0);
-    if (next > target[key]) {
-      target[key] = next;
-      changed = true;
-    }
+    if (next > target[key]) pending.push({ key, value: next });
   }
 
   for (const key of QUEST_BOOL_KEYS) {
-    if (incoming[key] === true && !target[key]) {
-      target[key] = true;
-      changed = true;
+    if (incoming[key] === true && !target[key]) pending.push({ key, value: true });
+  }
+
+  for (const entry of pending) {
+    if (entry.key !== "stage" && questRuleFor(entry.key, room).server) {
+      entry.done = true;
+      result.rejected.push({ key: entry.key, value: entry.value, reason: "server_only", missing: [] });
+    }
+  }
+
+  // Apply until nothing else unlocks, so one sync can carry a flag and the stage it gates.
+  let progressed = true;
+  while (progressed) {
+    progressed = false;
+    for (const entry of pending) {
+      if (entry.done) continue;
+      const rule = entry.key === "stage" ? stageRuleFor(target.stage, entry.value) : questRuleFor(entry.key, room);
+      if (missingQuestRequirements(target, rule).length > 0) continue;
+      target[entry.key] = entry.value;
+      entry.done = true;
+      result.changed = true;
+      progressed = true;
     }
   }
 
-  return changed;
+  for (const entry of pending) {
+    if (entry.done) continue;
+    const rule = entry.key === "stage" ? stageRuleFor(target.stage, entry.value) : questRuleFor(entry.key, room);
+    result.rejected.push({
+      key: entry.key,
+      value: entry.value,
+      reason: "missing_prerequisites",
+      missing: missingQuestRequirements(target, rule),
+    });
+  }
+
+  return result;
+}
+
+function questRejectionAck(room, rejected) {
+  return {
+    ok: false,
+    error: "Quest transition rejected",
+    code: "QUEST_TRANSITION_REJECTED",
+    rejected,
+    quest: buildQuestPayload(room),
+  };
+}
+
+// One line per rejected sync, and at most one per player every QUEST_REJECT_LOG_MS; the next
+// line says how many were skipped in between.
+function logQuestRejections(room, player, rejected, now = Date.now()) {
+  const owner = player || room;
+  if (!owner.questRejectLog) owner.questRejectLog = { at: 0, skipped: 0 };
+  const log = owner.questRejectLog;
+  if (now - log.at < QUEST_REJECT_LOG_MS) {
+    log.skipped += 1;
+    return;
+  }
+
+  const keys = rejected.map((entry) => {
+    const detail = entry.missing.length > 0 ? ` (missing ${entry.missing.join(", ")})` : "";
+    return `${entry.key}=${entry.value}: ${entry.reason}${detail}`;
+  });
+  const skipped = log.skipped > 0 ? ` [${log.skipped} earlier rejected syncs not logged]` : "";
+  console.warn(`[quest] ${room.id}: rejected from ${player?.clientId || "unknown"}: ${keys.join("; ")}${skipped}`);
+  log.at = now;
+  log.skipped = 0;
 }
 
 function serializeEnemy(e) {
@@ -205,6 +521,7 @@ function serializeEnemy(e) {
     speed: Number(e.speed) || 90,
     alive: e.alive !== false,
     animT: Number(e.animT) || 0,
+    ...(e.boss ? { phase: e.boss.name, enraged: !!e.boss.enraged } : {}),
   };
 }
 
@@ -212,120 +529,66 @@ function makeRoomId() {
   return `room_${Math.random().toString(36).slice(2, 10)}`;
 }
 
-function randomWolfPos() {
-  return {
-    x: 1000 + Math.random() * 780,
-    y: 150 + Math.random() * 840,
-  };
+function enemyArchetype(enemyOrType) {
+  const type = typeof enemyOrType === "string" ? enemyOrType : enemyOrType?.type;
+  return ENEMY_TYPES[type] || null;
 }
 
-function randomBanditPos() {
-  return {
-    x: 930 + Math.random() * 780,
-    y: 280 + Math.random() * 1000,
-  };
+function leashCenter(leash) {
+  return { x: (leash.minX + leash.maxX) / 2, y: (leash.minY + leash.maxY) / 2 };
 }
 
-function createWolf(room, id) {
-  const diff = roomDifficultyMult(room);
-  const party = roomPartySize(room);
-  const hp = Math.max(1, Math.round(58 * 1.5 * diff * party));
-  const damage = Math.max(1, Math.round(6 * 1.5 * diff));
-  const pos = randomWolfPos();
-  return {
-    id,
-    type: "wolf",
-    map: "silver",
-    name: `Wolf #${id}`,
-    x: pos.x,
-    y: pos.y,
-    r: 15,
-    hp,
-    maxHp: hp,
-    damage,
-    speed: 104,
-    hitCd: 0,
-    windup: 0,
-    alive: true,
-    animT: Math.random() * 10,
-    wanderA: Math.random() * Math.PI * 2,
-  };
+function nextEnemyId(room, def) {
+  const counters = room.game.nextEnemyIds;
+  const key = def.group || def.type;
+  const id = Number(counters[key]) || 1;
+  counters[key] = id + 1;
+  return id;
 }
 
-function createBandit(room, id) {
+function createEnemy(room, type, pos = null) {
+  const def = enemyArchetype(type);
+  if (!def) return null;
   const diff = roomDifficultyMult(room);
-  const party = roomPartySize(room);
-  const hp = Math.max(1, Math.round(96 * 1.5 * diff * party));
-  const damage = Math.max(1, Math.round(8 * 1.5 * diff));
-  const pos = randomBanditPos();
+  const party = scaledPartySize(room);
+  const hp = Math.max(1, Math.round(def.hp * diff * party));
+  const damage = Math.max(1, Math.round(def.damage * diff));
+  const id = def.id || nextEnemyId(room, def);
+  const wanted = pos || (def.spawn ? { x: def.spawn.x, y: def.spawn.y } : leashCenter(def.leash));
+  const leashed = {
+    x: clamp(wanted.x, def.leash.minX, def.leash.maxX),
+    y: clamp(wanted.y, def.leash.minY, def.leash.maxY),
+  };
+  const at = (MAPS[def.map] && nearestOpenPoint(MAPS[def.map], leashed.x, leashed.y)) || leashed;
   return {
     id,
-    type: "bandit",
-    map: "iron",
-    name: `Bandit #${id}`,
-    x: pos.x,
-    y: pos.y,
-    r: 16,
+    type: def.type,
+    map: def.map,
+    name: def.id ? def.name : `${def.name} #${id}`,
+    x: at.x,
+    y: at.y,
+    r: def.radius,
     hp,
     maxHp: hp,
     damage,
-    speed: 110,
+    speed: def.speed,
     hitCd: 0,
     windup: 0,
+    targetId: null,
     alive: true,
-    animT: Math.random() * 10,
+    animT: def.id ? 0 : Math.random() * 10,
     wanderA: Math.random() * Math.PI * 2,
   };
 }
 
-function createDireWolf(room) {
-  const diff = roomDifficultyMult(room);
-  const party = roomPartySize(room);
-  const hp = Math.max(1, Math.round(360 * 1.5 * diff * party));
-  const damage = Math.max(1, Math.round(12 * 1.5 * diff));
-  return {
-    id: "dire_alpha",
-    type: "dire",
-    map: "silver",
-    name: "Dire Wolf",
-    x: 1560,
-    y: 200,
-    r: 23,
-    hp,
-    maxHp: hp,
-    damage,
-    speed: 126,
-    hitCd: 0,
-    windup: 0,
-    alive: true,
-    animT: 0,
-    wanderA: Math.random() * Math.PI * 2,
-  };
+function spawnEnemy(room, type, pos = null) {
+  const enemy = createEnemy(room, type, pos);
+  if (enemy) room.game.enemies.push(enemy);
+  return enemy;
 }
 
-function createWarlord(room) {
-  const diff = roomDifficultyMult(room);
-  const party = roomPartySize(room);
-  const hp = Math.max(1, Math.round(480 * 1.5 * diff * party));
-  const damage = Math.max(1, Math.round(16 * 1.5 * diff));
-  return {
-    id: "warlord_overseer",
-    type: "warlord",
-    map: "cave",
-    name: "Bandit Warlord",
-    x: 690,
-    y: 230,
-    r: 24,
-    hp,
-    maxHp: hp,
-    damage,
-    speed: 118,
-    hitCd: 0,
-    windup: 0,
-    alive: true,
-    animT: 0,
-    wanderA: Math.random() * Math.PI * 2,
-  };
+function isWaveEnemy(enemy) {
+  return enemyArchetype(enemy)?.group === "wave";
 }
 
 function initRoomGame(room) {
@@ -333,270 +596,2060 @@ function initRoomGame(room) {
   const requiredWaveParts = Math.max(1, connectedPlayers(room).length || 1);
   room.game = {
     questSync: defaultQuestSync(),
+    health: {},
+    combat: {},
     finalWaveParts: {
       required: requiredWaveParts,
       collected: 0,
       byClient: {},
     },
-    phase1: {
-      nextWolfId: 1,
-      wolves: [],
-      lastEmitAt: 0,
-    },
-    phase2: {
-      nextBanditId: 1,
-      bandits: [],
-      direWolf: null,
-      warlord: null,
-    },
+    enemies: [],
+    nextEnemyIds: {},
+    populations: {},
+    finalWave: defaultFinalWave(),
+    partyScale: { size: roomPartySize(room), pending: null },
+    inventory: { party: {}, players: {} },
+    drops: [],
+    nextDropId: 1,
+    waveSnapshot: null,
+    lastEmitAt: 0,
   };
-  for (let i = 0; i < 10; i += 1) {
-    room.game.phase1.wolves.push(createWolf(room, room.game.phase1.nextWolfId));
-    room.game.phase1.nextWolfId += 1;
-  }
+  updateEnemyPopulations(room, 0);
 }
 
-function ensureFinalWaveParts(room) {
-  if (!room?.game) return { required: 1, collected: 0, byClient: {} };
-  if (!room.game.finalWaveParts || typeof room.game.finalWaveParts !== "object") {
-    room.game.finalWaveParts = {
-      required: Math.max(1, connectedPlayers(room).length || 1),
-      collected: 0,
-      byClient: {},
-    };
+// Rooms persisted before the enemy registry kept enemies in per-phase slots.
+function migrateLegacyEnemies(game) {
+  if (Array.isArray(game.enemies)) return;
+  const phase1 = game.phase1 || {};
+  const phase2 = game.phase2 || {};
+  const wave = game.finalWave || {};
+  game.enemies = [
+    ...(Array.isArray(phase1.wolves) ? phase1.wolves : []),
+    ...(Array.isArray(phase2.bandits) ? phase2.bandits : []),
+    phase2.direWolf,
+    phase2.warlord,
+    ...(Array.isArray(wave.enemies) ? wave.enemies : []),
+  ].filter((e) => e && enemyArchetype(e));
+  game.nextEnemyIds = {
+    wolf: Number(phase1.nextWolfId) || 1,
+    bandit: Number(phase2.nextBanditId) || 1,
+    wave: Number(wave.nextEnemyId) || 1,
+  };
+  delete game.phase1;
+  delete game.phase2;
+  delete wave.enemies;
+  delete wave.nextEnemyId;
+}
+
+function ensurePopulationState(room, type) {
+  if (!room.game.populations || typeof room.game.populations !== "object") room.game.populations = {};
+  let state = room.game.populations[type];
+  if (!state) {
+    // Rooms saved before populations existed already have their initial spawns.
+    state = { seeded: enemiesOfType(room, type).length > 0, respawns: [] };
+    room.game.populations[type] = state;
   }
-  const parts = room.game.finalWaveParts;
-  parts.required = Math.max(1, Number(parts.required) || Math.max(1, connectedPlayers(room).length || 1));
-  parts.collected = clamp(Math.floor(Number(parts.collected) || 0), 0, parts.required);
-  if (!parts.byClient || typeof parts.byClient !== "object") parts.byClient = {};
-  return parts;
+  return state;
 }
 
-function buildQuestPayload(room) {
-  const quest = sanitizeQuestSync(room?.game?.questSync || {});
-  const parts = ensureFinalWaveParts(room);
-  quest.finalWavePartsCollected = parts.collected;
-  quest.finalWavePartsRequired = parts.required;
-  if (parts.collected >= parts.required) quest.finalWaveKeyTaken = true;
-  return quest;
+function enemiesOfType(room, type) {
+  return roomEnemies(room).filter((e) => e.type === type);
 }
 
-function ensurePhase2Spawns(room) {
-  if (!room?.game) return;
+function aliveEnemiesOnMap(room, mapId) {
+  return roomEnemies(room).filter((e) => e.alive && e.map === mapId).length;
+}
+
+function mapHasRoomFor(room, mapId, count = 1) {
+  const cap = MAP_POPULATION_CAP[mapId];
+  return !cap || aliveEnemiesOnMap(room, mapId) + count <= cap;
+}
+
+function spawnPointPos(def) {
+  const points = def.population.spawnPoints;
+  const point = points[Math.floor(Math.random() * points.length)];
+  const a = Math.random() * Math.PI * 2;
+  const r = Math.sqrt(Math.random()) * point.radius;
+  return { x: point.x + Math.cos(a) * r, y: point.y + Math.sin(a) * r };
+}
+
+// Regular enemies are seeded with `initial` once `minStage` is reached, then topped back up to
+// `target`, each replacement arriving `respawnDelayS` after the death it replaces.
+function updateEnemyPopulations(room, dt) {
   const q = room.game.questSync;
-  const phase2 = room.game.phase2;
+  for (const def of Object.values(ENEMY_TYPES)) {
+    const rule = def.population;
+    if (!rule || q.stage < rule.minStage) continue;
+    const state = ensurePopulationState(room, def.type);
+
+    if (!state.seeded) {
+      state.seeded = true;
+      for (let i = 0; i < rule.initial && mapHasRoomFor(room, def.map); i += 1) {
+        spawnEnemy(room, def.type, spawnPointPos(def));
+      }
+    }
 
-  if (q.stage >= 10 && phase2.bandits.length === 0) {
-    for (let i = 0; i < 10; i += 1) {
-      phase2.bandits.push(createBandit(room, phase2.nextBanditId));
-      phase2.nextBanditId += 1;
+    const pending = [];
+    for (const remaining of state.respawns) {
+      const next = remaining - dt;
+      if (next > 0) {
+        pending.push(next);
+      } else if (mapHasRoomFor(room, def.map)) {
+        spawnEnemy(room, def.type, spawnPointPos(def));
+      } else {
+        pending.push(1);
+      }
     }
-  }
+    state.respawns = pending;
 
-  if (q.stage >= 6 && !q.direDefeated && (!phase2.direWolf || phase2.direWolf.alive === false)) {
-    phase2.direWolf = createDireWolf(room);
-  }
-  if (q.direDefeated) {
-    phase2.direWolf = null;
+    // Boss summons are extras on top of the map's regular population.
+    const alive = enemiesOfType(room, def.type).filter((e) => e.alive && !e.summonedBy).length;
+    for (let i = alive + state.respawns.length; i < rule.target; i += 1) state.respawns.push(rule.respawnDelayS);
   }
+}
 
-  if (q.stage >= 14 && !q.warlordDefeated && (!phase2.warlord || phase2.warlord.alive === false)) {
-    phase2.warlord = createWarlord(room);
-  }
-  if (q.warlordDefeated) {
-    phase2.warlord = null;
+function pruneEnemyCorpses(room, dt) {
+  const list = room.game.enemies;
+  for (let i = list.length - 1; i >= 0; i -= 1) {
+    const enemy = list[i];
+    if (enemy.alive) continue;
+    enemy.corpseT = (Number.isFinite(enemy.corpseT) ? enemy.corpseT : ENEMY_CORPSE_S) - dt;
+    if (enemy.corpseT <= 0) list.splice(i, 1);
   }
 }
 
-function makeGamePublic(room) {
-  const leader = roomLeader(room);
-  const phase1 = room?.game?.phase1 || {};
-  const phase2 = room?.game?.phase2 || {};
-  const questSync = buildQuestPayload(room);
-  const wolves = Array.isArray(phase1.wolves) ? phase1.wolves : [];
-  const bandits = Array.isArray(phase2.bandits) ? phase2.bandits : [];
-  const direWolf = phase2.direWolf || null;
-  const warlord = phase2.warlord || null;
-
+function defaultFinalWave() {
   return {
-    leaderId: leader ? leader.id : null,
-    quest: questSync,
-    phase1: {
-      quest: {
-        wolvesSlain: questSync.wolvesSlain,
-        gotPelt: questSync.gotPelt,
-      },
-      wolves: wolves.map((w) => serializeEnemy(w)),
-    },
-    phase2: {
-      quest: {
-        banditsSlain: questSync.banditsSlain,
-        direDefeated: questSync.direDefeated,
-        warlordDefeated: questSync.warlordDefeated,
-      },
-      bandits: bandits.map((b) => serializeEnemy(b)),
-      direWolf: serializeEnemy(direWolf),
-      warlord: serializeEnemy(warlord),
-    },
+    active: false,
+    complete: false,
+    elapsed: 0,
+    round: 0,
   };
 }
 
-function emitGameState(roomId) {
-  const room = rooms.get(roomId);
-  if (!room || !room.game) return;
-  io.to(roomId).emit("game:state", {
-    roomId,
-    state: makeGamePublic(room),
-  });
+function ensureFinalWave(room) {
+  if (!room.game.finalWave || typeof room.game.finalWave !== "object") {
+    room.game.finalWave = defaultFinalWave();
+  }
+  return room.game.finalWave;
 }
 
-function emitQuestSync(roomId) {
-  const room = rooms.get(roomId);
-  if (!room?.game) return;
-  io.to(roomId).emit("quest:sync", {
-    roomId,
-    quest: buildQuestPayload(room),
-  });
+function waveEnemies(room) {
+  return roomEnemies(room).filter((e) => isWaveEnemy(e));
 }
 
-function makeRoomPublic(room) {
-  const leader = roomLeader(room);
-  const players = connectedPlayers(room);
+function randomFinalWavePos() {
+  const point = FINAL_WAVE_SPAWN_POINTS[Math.floor(Math.random() * FINAL_WAVE_SPAWN_POINTS.length)];
   return {
-    id: room.id,
-    name: room.name,
-    difficulty: room.difficulty,
-    maxPlayers: room.maxPlayers,
-    started: room.started,
-    leaderId: leader ? leader.id : null,
-    players: players.map((p) => ({
-      id: p.id,
-      name: p.name,
-      ready: p.ready,
-      leader: p.leader,
-      state: p.state || null,
-    })),
-    createdAt: room.createdAt || Date.now(),
+    x: point.x + (Math.random() - 0.5) * 120,
+    y: point.y + (Math.random() - 0.5) * 120,
   };
 }
 
-function emitRoomUpdate(roomId) {
-  const room = rooms.get(roomId);
-  if (!room) return;
-  io.to(roomId).emit("room:update", makeRoomPublic(room));
+function finalWaveRoundSize(round) {
+  return Object.values(round.spawns).reduce((sum, count) => sum + count, 0);
 }
 
-function activePlayersOnMap(room, mapId) {
-  return connectedPlayers(room).filter(
-    (p) => p?.state?.map === mapId && Number.isFinite(p.state.x) && Number.isFinite(p.state.y),
-  );
+function spawnFinalWaveRound(room, round) {
+  for (const [type, count] of Object.entries(round.spawns)) {
+    for (let i = 0; i < count; i += 1) spawnEnemy(room, type, randomFinalWavePos());
+  }
 }
 
-function roomLeader(room) {
-  return ensureRoomLeader(room);
+// Server-run waves complete in updateFinalWave; leader-run ones when the leader reports it via wave:state.
+function finalWaveCleared(room) {
+  return !!room.game.questSync.finalWaveStarted && !!ensureFinalWave(room).complete;
 }
 
-function updateEnemyAI(enemy, players, dt, leash) {
-  if (!enemy?.alive) return;
+// Key parts are loot that never expires: once the wave is cleared there is one on the ground (or
+// already picked up) for every part the party needs. Rerun after a rescale so late joiners get one.
+function dropFinalWaveParts(room, origin = null) {
+  if (room.game.questSync.finalWaveKeyTaken || !finalWaveCleared(room)) return [];
+  const parts = ensureFinalWaveParts(room);
+  if (origin) parts.dropAt = { x: origin.x, y: origin.y };
+  const onGround = roomDrops(room)
+    .filter((d) => d.item === FINAL_WAVE_PART_ITEM)
+    .reduce((sum, d) => sum + d.qty, 0);
+
+  const drops = [];
+  for (let i = parts.collected + onGround; i < parts.required; i += 1) {
+    const drop = spawnLootDrop(room, FINAL_WAVE_MAP, parts.dropAt || FINAL_WAVE_PART_DROP, FINAL_WAVE_PART_ITEM, 1);
+    drop.keep = true;
+    drops.push(drop);
+  }
+  return drops;
+}
 
-  enemy.animT += dt * 8;
-  enemy.hitCd = Math.max(0, enemy.hitCd - dt);
+function collectFinalWavePart(room, player) {
+  const parts = ensureFinalWaveParts(room);
+  const clientId = normalizeClientId(player.clientId, player.id);
+  if (parts.byClient[clientId] !== true) {
+    parts.byClient[clientId] = true;
+    parts.collected = clamp(parts.collected + 1, 0, parts.required);
+  }
+  const complete = parts.collected >= parts.required;
+  if (complete) room.game.questSync.finalWaveKeyTaken = true;
+  return { collected: parts.collected, required: parts.required, complete };
+}
 
-  if (enemy.windup > 0) {
-    enemy.windup -= dt;
-    if (enemy.windup <= 0) enemy.hitCd = enemy.type === "warlord" ? 0.9 : 1.05;
+function completeFinalWave(room, origin = null) {
+  const wave = ensureFinalWave(room);
+  wave.active = false;
+  wave.complete = true;
+  const drops = dropFinalWaveParts(room, origin);
+  io.to(room.id).emit("wave:complete", {
+    roomId: room.id,
+    kills: room.game.questSync.finalWaveTotalKills,
+    drops: drops.map((d) => serializeDrop(d)),
+  });
+  emitQuestSync(room.id);
+}
+
+function updateFinalWave(room, dt) {
+  if (room.waveMode === "leader") {
+    dropFinalWaveParts(room);
     return;
   }
+  const q = room.game.questSync;
+  const wave = ensureFinalWave(room);
+  if (!q.finalWaveStarted || wave.complete) return;
 
-  let target = null;
-  let targetDist = Infinity;
-  for (const player of players) {
-    const d = dist(enemy, player.state);
-    if (d < targetDist) {
-      targetDist = d;
-      target = player.state;
-    }
+  if (!wave.active) {
+    wave.active = true;
+    wave.elapsed = 0;
+    wave.round = 0;
   }
-
-  if (target && targetDist < 245) {
-    const vx = (target.x - enemy.x) / (targetDist || 1);
-    const vy = (target.y - enemy.y) / (targetDist || 1);
-    enemy.x += vx * enemy.speed * dt;
-    enemy.y += vy * enemy.speed * dt;
-
-    if (targetDist < enemy.r + 14 + 14 && enemy.hitCd <= 0) {
-      enemy.windup = enemy.type === "warlord" ? 0.48 : enemy.type === "dire" ? 0.42 : 0.34;
+  wave.elapsed += dt;
+
+  const alive = waveEnemies(room).filter((e) => e.alive).length;
+  const next = FINAL_WAVE_SCHEDULE[wave.round];
+  if (next) {
+    if (alive === 0) wave.elapsed = Math.max(wave.elapsed, next.at - FINAL_WAVE_BREATHER_S);
+    if (wave.elapsed >= next.at && mapHasRoomFor(room, FINAL_WAVE_MAP, finalWaveRoundSize(next))) {
+      spawnFinalWaveRound(room, next);
+      wave.round += 1;
+      io.to(room.id).emit("wave:round", {
+        roomId: room.id,
+        round: wave.round,
+        rounds: FINAL_WAVE_SCHEDULE.length,
+      });
     }
-  } else {
-    enemy.wanderA += (Math.random() - 0.5) * dt;
-    enemy.x += Math.cos(enemy.wanderA) * 38 * dt;
-    enemy.y += Math.sin(enemy.wanderA) * 38 * dt;
+    return;
   }
 
-  enemy.x = clamp(enemy.x, leash.minX, leash.maxX);
-  enemy.y = clamp(enemy.y, leash.minY, leash.maxY);
+  if (alive === 0) completeFinalWave(room, wave.lastKill || null);
 }
 
-function updateRoomEnemies(room, dt) {
-  const game = room.game;
-  if (!game) return;
+// Leader-run waves only live on the leader's client, so it checkpoints them through wave:state.
+// Whenever a different socket ends up leading (handover or the leader reconnecting), it gets the
+// last checkpoint so the run carries on from there.
+function migrateWaveLeader(room, leader) {
+  if (!room.started || !room.game || room.waveMode !== "leader") return;
+  if (room.waveLeaderId === leader.id) return;
+
+  const previousLeaderId = room.waveLeaderId || null;
+  room.waveLeaderId = leader.id;
+  const snapshot = room.game.waveSnapshot || null;
+  if (!previousLeaderId && !snapshot) return;
+  if (!hasCapability(io.sockets.sockets.get(leader.id), "leader-migrate")) return;
+  io.to(leader.id).emit("leader:migrate", {
+    roomId: room.id,
+    leaderId: leader.id,
+    previousLeaderId,
+    snapshot,
+  });
+}
 
-  ensurePhase2Spawns(room);
+function makeFinalWavePublic(room, view = null) {
+  const wave = room?.game?.finalWave || defaultFinalWave();
+  const enemies = waveEnemies(room).filter((e) => enemyInInterest(e, view));
+  return {
+    mode: room?.waveMode === "leader" ? "leader" : "server",
+    active: !!wave.active,
+    complete: !!wave.complete,
+    round: Number(wave.round) || 0,
+    rounds: FINAL_WAVE_SCHEDULE.length,
+    kills: Number(room?.game?.questSync?.finalWaveTotalKills) || 0,
+    enemies: enemies.map((e) => serializeEnemy(e)),
+  };
+}
 
-  const wolves = game.phase1.wolves;
-  const silverPlayers = activePlayersOnMap(room, "silver");
-  for (const wolf of wolves) updateEnemyAI(wolf, silverPlayers, dt, WOLF_LEASH);
+function ensureFinalWaveParts(room) {
+  if (!room?.game) return { required: 1, collected: 0, byClient: {} };
+  if (!room.game.finalWaveParts || typeof room.game.finalWaveParts !== "object") {
+    room.game.finalWaveParts = {
+      required: Math.max(1, connectedPlayers(room).length || 1),
+      collected: 0,
+      byClient: {},
+    };
+  }
+  const parts = room.game.finalWaveParts;
+  parts.required = Math.max(1, Number(parts.required) || Math.max(1, connectedPlayers(room).length || 1));
+  parts.collected = clamp(Math.floor(Number(parts.collected) || 0), 0, parts.required);
+  if (!parts.byClient || typeof parts.byClient !== "object") parts.byClient = {};
+  return parts;
+}
 
-  const aliveWolves = wolves.filter((w) => w.alive).length;
-  if (aliveWolves < 5) {
-    for (let i = 0; i < 3; i += 1) {
-      wolves.push(createWolf(room, game.phase1.nextWolfId));
-      game.phase1.nextWolfId += 1;
-    }
+function ensurePlayerHealth(room, player) {
+  if (!room?.game || !player) return null;
+  if (!room.game.health || typeof room.game.health !== "object") room.game.health = {};
+  const key = normalizeClientId(player.clientId, player.id);
+  let health = room.game.health[key];
+  if (!health) {
+    health = { hp: PLAYER_MAX_HP, maxHp: PLAYER_MAX_HP, downed: false };
+    room.game.health[key] = health;
   }
+  return health;
+}
 
-  const q = game.questSync;
-  const phase2 = game.phase2;
+function isPlayerDowned(room, player) {
+  const health = ensurePlayerHealth(room, player);
+  return !!health?.downed;
+}
 
-  if (q.stage >= 10) {
-    const ironPlayers = activePlayersOnMap(room, "iron");
-    for (const bandit of phase2.bandits) updateEnemyAI(bandit, ironPlayers, dt, BANDIT_LEASH);
-    const aliveBandits = phase2.bandits.filter((b) => b.alive).length;
-    if (aliveBandits < 5) {
-      for (let i = 0; i < 4; i += 1) {
-        phase2.bandits.push(createBandit(room, phase2.nextBanditId));
-        phase2.nextBanditId += 1;
-      }
-    }
+function ensurePlayerCombat(room, player) {
+  if (!room.game.combat || typeof room.game.combat !== "object") room.game.combat = {};
+  const key = normalizeClientId(player.clientId, player.id);
+  let combat = room.game.combat[key];
+  if (!combat) {
+    combat = { weapon: DEFAULT_WEAPON, swing: null };
+    room.game.combat[key] = combat;
   }
+  if (!PLAYER_WEAPONS[combat.weapon]) combat.weapon = DEFAULT_WEAPON;
+  return combat;
+}
 
-  if (phase2.direWolf && !q.direDefeated) {
-    updateEnemyAI(phase2.direWolf, silverPlayers, dt, DIRE_LEASH);
-  }
+function makeHealthPublic(room) {
+  return connectedPlayers(room).map((p) => {
+    const health = ensurePlayerHealth(room, p);
+    return {
+      id: p.id,
+      hp: health.hp,
+      maxHp: health.maxHp,
+      downed: health.downed,
+      bleedOutS: health.downed ? Math.ceil(Number(health.bleedOut) || 0) : null,
+      reviverId: health.revive ? health.revive.byId : null,
+      weapon: ensurePlayerCombat(room, p).weapon,
+    };
+  });
+}
 
-  if (phase2.warlord && !q.warlordDefeated) {
-    const cavePlayers = activePlayersOnMap(room, "cave");
-    updateEnemyAI(phase2.warlord, cavePlayers, dt, WARLORD_CAVE_LEASH);
-  }
+function damagePlayer(room, player, amount, source) {
+  const health = ensurePlayerHealth(room, player);
+  if (!health || health.downed) return false;
+
+  const dodged = player.state?.dodging === true;
+  const blocked = !dodged && player.state?.blocking === true;
+  const raw = (Number(amount) || 0) * (blocked ? PLAYER_BLOCK_DAMAGE_MULT : 1);
+  const damage = dodged ? 0 : Math.max(1, Math.round(raw));
+  health.hp = Math.max(0, health.hp - damage);
+  io.to(room.id).emit("player:damaged", {
+    roomId: room.id,
+    playerId: player.id,
+    damage,
+    blocked,
+    dodged,
+    hp: health.hp,
+    maxHp: health.maxHp,
+    sourceType: source?.type || null,
+    sourceId: source?.id ?? null,
+  });
+
+  if (health.hp > 0) return false;
+  health.downed = true;
+  health.bleedOut = PLAYER_BLEED_OUT_S;
+  health.revive = null;
+  cancelReviveBy(room, player, "reviver_downed");
+  io.to(room.id).emit("player:downed", {
+    roomId: room.id,
+    playerId: player.id,
+    sourceType: source?.type || null,
+    sourceId: source?.id ?? null,
+    x: Number(player.state?.x) || 0,
+    y: Number(player.state?.y) || 0,
+    bleedOutMs: PLAYER_BLEED_OUT_S * 1000,
+  });
+  return true;
 }
 
-function withinMeleeRange(playerState, enemy, isHeavy) {
-  const range = isHeavy ? 96 : 68;
+function questCheckpoint(room) {
+  const q = room.game.questSync;
+  let checkpoint = QUEST_CHECKPOINTS[0];
+  for (const entry of QUEST_CHECKPOINTS) {
+    if (q.stage >= entry.stage && (entry.flags || []).every((flag) => q[flag])) checkpoint = entry;
+  }
+  const spawn = MAPS[checkpoint.map].spawn;
+  return { stage: checkpoint.stage, map: checkpoint.map, x: spawn.x, y: spawn.y };
+}
+
+function respawnPlayer(room, player, checkpoint, reason) {
+  const health = ensurePlayerHealth(room, player);
+  health.hp = health.maxHp;
+  health.downed = false;
+  health.bleedOut = 0;
+  health.revive = null;
+  player.state = { ...(player.state || {}), map: checkpoint.map, x: checkpoint.x, y: checkpoint.y };
+  player.lastMoveAt = Date.now();
+  io.to(room.id).emit("player:respawned", {
+    roomId: room.id,
+    playerId: player.id,
+    reason,
+    hp: health.hp,
+    maxHp: health.maxHp,
+    state: player.state,
+  });
+}
+
+function cancelRevive(room, target, reason) {
+  const health = ensurePlayerHealth(room, target);
+  if (!health?.revive) return;
+  const byId = health.revive.byId;
+  health.revive = null;
+  io.to(room.id).emit("player:revive:cancelled", { roomId: room.id, targetId: target.id, reviverId: byId, reason });
+}
+
+function cancelReviveBy(room, reviver, reason) {
+  for (const target of connectedPlayers(room)) {
+    if (ensurePlayerHealth(room, target)?.revive?.by === reviver.clientId) cancelRevive(room, target, reason);
+  }
+}
+
+function startRevive(room, reviver, targetId) {
+  const target = connectedPlayers(room).find((p) => p.id === targetId);
+  if (!target || target === reviver) return { ok: false, error: "Target not found" };
+  const health = ensurePlayerHealth(room, target);
+  if (!health.downed) return { ok: false, error: "Target is not downed" };
+  if (health.revive && health.revive.by !== reviver.clientId) return { ok: false, error: "Already being revived" };
+  if (isPlayerDowned(room, reviver)) return { ok: false, error: "Player is downed" };
+  if (!reviver.state || !target.state || reviver.state.map !== target.state.map) return { ok: false, error: "Wrong map" };
+  if (dist(reviver.state, target.state) > PLAYER_REVIVE_RANGE) return { ok: false, error: "Too far away" };
+
+  cancelReviveBy(room, reviver, "switched_target");
+  health.revive = { by: reviver.clientId, byId: reviver.id, t: PLAYER_REVIVE_S };
+  io.to(room.id).emit("player:revive:started", {
+    roomId: room.id,
+    targetId: target.id,
+    reviverId: reviver.id,
+    durationMs: PLAYER_REVIVE_S * 1000,
+  });
+  return { ok: true, targetId: target.id, durationMs: PLAYER_REVIVE_S * 1000 };
+}
+
+// Put every enemy back to full strength: bosses return to their spawn and first phase,
+// boss summons and the current final wave are cleared (the wave restarts from round one).
+function resetEnemiesAfterWipe(room) {
+  const game = room.game;
+  const diff = roomDifficultyMult(room);
+  const hadWave = game.enemies.some((e) => isWaveEnemy(e));
+  game.enemies = game.enemies.filter((e) => !e.summonedBy && !isWaveEnemy(e));
+  if (hadWave || ensureFinalWave(room).active) game.finalWave = defaultFinalWave();
+
+  for (const enemy of game.enemies) {
+    if (!enemy.alive) continue;
+    const def = enemyArchetype(enemy);
+    enemy.hp = enemy.maxHp;
+    enemy.windup = 0;
+    enemy.hitCd = 0;
+    enemy.targetId = null;
+    enemy.path = null;
+    if (!def?.spawn) continue;
+    const at = nearestOpenPoint(MAPS[def.map], def.spawn.x, def.spawn.y) || def.spawn;
+    enemy.x = at.x;
+    enemy.y = at.y;
+    enemy.speed = def.speed;
+    enemy.damage = Math.max(1, Math.round(def.damage * diff));
+    delete enemy.boss;
+  }
+}
+
+function wipeParty(room, players) {
+  const checkpoint = questCheckpoint(room);
+  resetEnemiesAfterWipe(room);
+  io.to(room.id).emit("party:wiped", { roomId: room.id, checkpoint });
+  for (const player of players) respawnPlayer(room, player, checkpoint, "wipe");
+  scheduleRoomPersist();
+}
+
+function updatePartyHealth(room, dt) {
+  const players = connectedPlayers(room).filter((p) => p.state);
+  if (players.length === 0) return;
+  if (players.every((p) => isPlayerDowned(room, p))) {
+    wipeParty(room, room.players.filter((p) => p.state));
+    return;
+  }
+
+  for (const player of players) {
+    const health = ensurePlayerHealth(room, player);
+    if (!health.downed) continue;
+
+    if (health.revive) {
+      const reviver = players.find((p) => p.clientId === health.revive.by);
+      if (!reviver || isPlayerDowned(room, reviver) || reviver.state.map !== player.state.map) {
+        cancelRevive(room, player, "reviver_left");
+      } else if (dist(reviver.state, player.state) > PLAYER_REVIVE_RANGE) {
+        cancelRevive(room, player, "out_of_range");
+      } else {
+        health.revive.t -= dt;
+        if (health.revive.t <= 0) {
+          health.hp = Math.max(1, Math.round(health.maxHp * PLAYER_REVIVE_HP));
+          health.downed = false;
+          health.bleedOut = 0;
+          health.revive = null;
+          io.to(room.id).emit("player:revived", {
+            roomId: room.id,
+            playerId: player.id,
+            reviverId: reviver.id,
+            hp: health.hp,
+            maxHp: health.maxHp,
+          });
+          continue;
+        }
+      }
+    }
+
+    // A channel in progress holds the bleed-out timer.
+    if (health.revive) continue;
+    health.bleedOut = (Number.isFinite(health.bleedOut) ? health.bleedOut : PLAYER_BLEED_OUT_S) - dt;
+    if (health.bleedOut <= 0) {
+      io.to(room.id).emit("player:bledout", { roomId: room.id, playerId: player.id });
+      respawnPlayer(room, player, questCheckpoint(room), "bled_out");
+    }
+  }
+}
+
+function rescaleParty(room, size) {
+  const game = room.game;
+  const previous = game.partyScale.size;
+  const ratio = size / previous;
+  game.partyScale = { size, pending: null };
+
+  for (const enemy of game.enemies) {
+    if (!enemy.alive) continue;
+    enemy.maxHp = Math.max(1, Math.round(enemy.maxHp * ratio));
+    enemy.hp = clamp(Math.round(enemy.hp * ratio), 1, enemy.maxHp);
+  }
+
+  const parts = ensureFinalWaveParts(room);
+  if (!game.questSync.finalWaveKeyTaken) {
+    parts.required = size;
+    parts.collected = Math.min(parts.collected, parts.required);
+    if (parts.collected >= parts.required) game.questSync.finalWaveKeyTaken = true;
+    dropFinalWaveParts(room);
+  }
+
+  io.to(room.id).emit("party:rescaled", {
+    roomId: room.id,
+    partySize: size,
+    previous,
+    finalWaveParts: { collected: parts.collected, required: parts.required },
+  });
+  emitQuestSync(room.id);
+}
+
+// Connected-count changes only take effect once they have held for PARTY_RESCALE_DELAY_MS,
+// so a quick reconnect doesn't bounce every enemy's HP.
+function updatePartyScale(room, now = Date.now()) {
+  const game = room.game;
+  if (!game.partyScale || typeof game.partyScale !== "object") game.partyScale = { size: roomPartySize(room), pending: null };
+  const current = roomPartySize(room);
+  const scale = game.partyScale;
+  if (current === scale.size) {
+    scale.pending = null;
+  } else if (!scale.pending || scale.pending.size !== current) {
+    scale.pending = { size: current, since: now };
+  } else if (now - scale.pending.since >= PARTY_RESCALE_DELAY_MS) {
+    rescaleParty(room, current);
+  }
+}
+
+function buildQuestPayload(room) {
+  const quest = sanitizeQuestSync(room?.game?.questSync || {});
+  const parts = ensureFinalWaveParts(room);
+  quest.finalWavePartsCollected = parts.collected;
+  quest.finalWavePartsRequired = parts.required;
+  if (parts.collected >= parts.required) quest.finalWaveKeyTaken = true;
+  return quest;
+}
+
+function uniqueEnemyActive(def, q) {
+  if (q.stage < def.spawn.minStage) return false;
+  if (def.defeatFlag && q[def.defeatFlag]) return false;
+  return def.spawn.flags.every((flag) => q[flag]);
+}
+
+function ensureUniqueEnemies(room) {
+  if (!room?.game) return;
+  const q = room.game.questSync;
+
+  for (const def of Object.values(ENEMY_TYPES)) {
+    if (!def.spawn) continue;
+    const current = room.game.enemies.find((e) => e.type === def.type);
+    if (!uniqueEnemyActive(def, q)) {
+      if (current && def.defeatFlag && q[def.defeatFlag]) {
+        room.game.enemies = room.game.enemies.filter((e) => e.type !== def.type);
+      }
+      continue;
+    }
+    if (current?.alive) continue;
+    room.game.enemies = room.game.enemies.filter((e) => e.type !== def.type);
+    spawnEnemy(room, def.type);
+  }
+}
+
+function worldObjectState(def, quest) {
+  return def.states[quest[def.flag] ? 1 : 0];
+}
+
+function makeWorldPublic(room, view = null) {
+  const q = room.game.questSync;
+  return Object.values(WORLD_OBJECTS)
+    .filter((def) => !view || def.map === view.map)
+    .map((def) => ({
+      id: def.id,
+      kind: def.kind,
+      name: def.name,
+      map: def.map,
+      x: def.x,
+      y: def.y,
+      radius: def.radius,
+      state: worldObjectState(def, q),
+    }));
+}
+
+function interactWorldObject(room, player, objectId) {
+  const id = String(objectId || "");
+  if (!Object.hasOwn(WORLD_OBJECTS, id)) return { ok: false, error: "Unknown object" };
+  const def = WORLD_OBJECTS[id];
+  if (!player.state || player.state.map !== def.map) return { ok: false, error: "Wrong map" };
+  if (isPlayerDowned(room, player)) return { ok: false, error: "Player is downed" };
+  if (dist(player.state, def) > def.radius + WORLD_INTERACT_SLACK) return { ok: false, error: "Too far away" };
+
+  const q = room.game.questSync;
+  if (q[def.flag]) return { ok: false, error: "Already used", state: worldObjectState(def, q) };
+  const missing = missingQuestRequirements(q, def.requires);
+  if (missing.length > 0) return { ok: false, error: "Requirements not met", missing };
+
+  q[def.flag] = true;
+  if (def.item) addInventoryItem(room, player, def.item, 1);
+  return { ok: true, objectId: def.id, state: worldObjectState(def, q), item: def.item };
+}
+
+function ensureInventory(room) {
+  const game = room.game;
+  if (!game.inventory || typeof game.inventory !== "object") game.inventory = { party: {}, players: {} };
+  if (!game.inventory.party || typeof game.inventory.party !== "object") game.inventory.party = {};
+  if (!game.inventory.players || typeof game.inventory.players !== "object") game.inventory.players = {};
+  if (!Array.isArray(game.drops)) game.drops = [];
+  game.nextDropId = Math.max(1, Number(game.nextDropId) || 1);
+  return game.inventory;
+}
+
+function playerInventory(room, player) {
+  const players = ensureInventory(room).players;
+  const clientId = normalizeClientId(player.clientId, player.id);
+  if (!players[clientId] || typeof players[clientId] !== "object") players[clientId] = {};
+  return players[clientId];
+}
+
+// Returns how many were added; stacks stop at the item's `stack` limit.
+function addInventoryItem(room, player, itemId, qty = 1) {
+  const def = ITEMS[itemId];
+  if (!def) return 0;
+  const bag = def.shared ? ensureInventory(room).party : playerInventory(room, player);
+  const have = Number(bag[itemId]) || 0;
+  const added = clamp(Math.floor(qty), 0, def.stack - have);
+  if (added <= 0) return 0;
+  bag[itemId] = have + added;
+  if (def.flag) room.game.questSync[def.flag] = true;
+  return added;
+}
+
+function makeInventoryPublic(room) {
+  const inventory = ensureInventory(room);
+  return JSON.parse(JSON.stringify({ party: inventory.party, players: inventory.players }));
+}
+
+function spawnLootDrop(room, mapId, origin, itemId, qty) {
+  ensureInventory(room);
+  const a = Math.random() * Math.PI * 2;
+  const r = Math.random() * LOOT_SCATTER;
+  const wanted = { x: origin.x + Math.cos(a) * r, y: origin.y + Math.sin(a) * r };
+  const at = (MAPS[mapId] && nearestOpenPoint(MAPS[mapId], wanted.x, wanted.y)) || wanted;
+  const drop = { id: room.game.nextDropId, item: itemId, qty, map: mapId, x: at.x, y: at.y, ttl: LOOT_DROP_TTL_S };
+  room.game.nextDropId += 1;
+  room.game.drops.push(drop);
+  return drop;
+}
+
+function rollEnemyLoot(room, enemy) {
+  const drops = [];
+  for (const entry of enemyArchetype(enemy)?.loot || []) {
+    if (Math.random() >= entry.chance) continue;
+    const qty = entry.min + Math.floor(Math.random() * (entry.max - entry.min + 1));
+    drops.push(spawnLootDrop(room, enemy.map, enemy, entry.item, qty));
+  }
+  return drops;
+}
+
+function serializeDrop(drop) {
+  return {
+    id: drop.id,
+    type: "drop",
+    item: drop.item,
+    name: ITEMS[drop.item]?.name || drop.item,
+    qty: drop.qty,
+    map: drop.map,
+    x: Math.round(drop.x * 10) / 10,
+    y: Math.round(drop.y * 10) / 10,
+  };
+}
+
+function roomDrops(room) {
+  return Array.isArray(room?.game?.drops) ? room.game.drops : [];
+}
+
+function updateLootDrops(room, dt) {
+  const kept = [];
+  for (const drop of roomDrops(room)) {
+    if (!drop.keep) drop.ttl = (Number.isFinite(drop.ttl) ? drop.ttl : LOOT_DROP_TTL_S) - dt;
+    if (drop.keep || drop.ttl > 0) kept.push(drop);
+  }
+  room.game.drops = kept;
+}
+
+function pickupLootDrop(room, player, dropId) {
+  const drop = roomDrops(room).find((d) => String(d.id) === String(dropId));
+  if (!drop) return { ok: false, error: "Drop not found" };
+  if (!player.state || player.state.map !== drop.map) return { ok: false, error: "Wrong map" };
+  if (isPlayerDowned(room, player)) return { ok: false, error: "Player is downed" };
+  if (dist(player.state, drop) > LOOT_PICKUP_RANGE) return { ok: false, error: "Too far away" };
+
+  const added = addInventoryItem(room, player, drop.item, drop.qty);
+  if (added <= 0) return { ok: false, error: "Inventory full" };
+  drop.qty -= added;
+  if (drop.qty <= 0) room.game.drops = room.game.drops.filter((d) => d !== drop);
+  const result = { ok: true, dropId: drop.id, item: drop.item, qty: added, shared: ITEMS[drop.item].shared };
+  if (drop.item === FINAL_WAVE_PART_ITEM) result.parts = collectFinalWavePart(room, player);
+  return result;
+}
+
+function enemyInInterest(enemy, view) {
+  if (!enemy) return false;
+  if (!view) return true;
+  if (enemy.map !== view.map) return false;
+  return STATE_INTEREST_RADIUS <= 0 || dist(enemy, view) <= STATE_INTEREST_RADIUS;
+}
+
+function roomEnemies(room) {
+  return Array.isArray(room?.game?.enemies) ? room.game.enemies : [];
+}
+
+// `view` is the receiving player's state; without one (not spawned yet) everything is visible.
+function makeGamePublic(room, view = null) {
+  const leader = roomLeader(room);
+  return {
+    leaderId: leader ? leader.id : null,
+    quest: buildQuestPayload(room),
+    players: makeHealthPublic(room),
+    finalWave: makeFinalWavePublic(room, view),
+    world: makeWorldPublic(room, view),
+    drops: roomDrops(room)
+      .filter((d) => enemyInInterest(d, view))
+      .map((d) => serializeDrop(d)),
+    inventory: makeInventoryPublic(room),
+    enemies: roomEnemies(room)
+      .filter((e) => enemyInInterest(e, view) && !isWaveEnemy(e))
+      .map((e) => serializeEnemy(e)),
+  };
+}
+
+function negotiateProtocol(auth) {
+  const requested = Math.floor(Number(auth?.protocol)) || LEGACY_PROTOCOL.version;
+  const version = Math.min(requested, PROTOCOL_VERSION);
+  if (version < MIN_PROTOCOL_VERSION) return null;
+  const offered = Array.isArray(auth?.capabilities) ? auth.capabilities.map(String) : [];
+  return {
+    version,
+    compat: version < PROTOCOL_VERSION,
+    capabilities: SERVER_CAPABILITIES.filter((c) => offered.includes(c)),
+  };
+}
+
+function socketProtocol(socket) {
+  return socket?.data?.protocol || LEGACY_PROTOCOL;
+}
+
+function hasCapability(socket, capability) {
+  return socketProtocol(socket).capabilities.includes(capability);
+}
+
+// Sockets sit in one of these per capability they did not negotiate, so room broadcasts can skip them.
+function missingCapabilityRoom(capability) {
+  return `without:${capability}`;
+}
+
+function chatHistoryFor(socket, room) {
+  return hasCapability(socket, "chat") ? roomChat(room) : [];
+}
+
+function playerProtocol(player) {
+  const protocol = socketProtocol(io.sockets.sockets.get(player.id));
+  return { version: protocol.version, compat: protocol.compat };
+}
+
+function makeStateSnapshot(room, view) {
+  const leader = roomLeader(room);
+  const { enemies: _enemies, ...finalWave } = makeFinalWavePublic(room, null);
+  const entities = new Map();
+  for (const enemy of roomEnemies(room)) {
+    if (!enemyInInterest(enemy, view)) continue;
+    const entity = serializeEnemy(enemy);
+    entity.x = Math.round(entity.x * 10) / 10;
+    entity.y = Math.round(entity.y * 10) / 10;
+    entities.set(enemyKey(enemy), entity);
+  }
+  for (const drop of roomDrops(room)) {
+    if (enemyInInterest(drop, view)) entities.set(`drop:${drop.id}`, serializeDrop(drop));
+  }
+  return {
+    entities,
+    meta: {
+      leaderId: JSON.stringify(leader ? leader.id : null),
+      quest: JSON.stringify(buildQuestPayload(room)),
+      players: JSON.stringify(makeHealthPublic(room)),
+      finalWave: JSON.stringify(finalWave),
+      world: JSON.stringify(makeWorldPublic(room, view)),
+      inventory: JSON.stringify(makeInventoryPublic(room)),
+    },
+  };
+}
+
+function buildStateDelta(base, next) {
+  const meta = {};
+  for (const [key, value] of Object.entries(next.meta)) {
+    if (base.meta[key] !== value) meta[key] = JSON.parse(value);
+  }
+
+  const spawn = [];
+  const update = [];
+  for (const [key, entity] of next.entities) {
+    const prev = base.entities.get(key);
+    if (!prev) {
+      spawn.push({ key, ...entity });
+      continue;
+    }
+    const changed = {};
+    let any = false;
+    for (const [field, value] of Object.entries(entity)) {
+      // Clients advance animation time locally; it only needs to be correct on spawn.
+      if (field === "animT" || prev[field] === value) continue;
+      changed[field] = value;
+      any = true;
+    }
+    if (any) update.push({ key, ...changed });
+  }
+
+  const despawn = [];
+  for (const key of base.entities.keys()) {
+    if (!next.entities.has(key)) despawn.push(key);
+  }
+  return { meta, spawn, update, despawn };
+}
+
+// Delta baselines only make sense inside one room, so every room join starts the socket over.
+function joinSocketRoom(socket, roomId) {
+  socket.data.stateSync = null;
+  socket.join(roomId);
+}
+
+function ensureStateSync(socket) {
+  if (!socket.data.stateSync) {
+    socket.data.stateSync = { seq: 0, baseSeq: 0, base: null, pending: new Map() };
+  }
+  return socket.data.stateSync;
+}
+
+// Sockets without "state-delta", or that never send game:ack, keep receiving full game:state snapshots.
+function emitGameStateTo(room, socket, view) {
+  const sync = ensureStateSync(socket);
+  sync.seq += 1;
+  const snapshot = makeStateSnapshot(room, view);
+  sync.pending.set(sync.seq, snapshot);
+  if (sync.pending.size > STATE_MAX_UNACKED) sync.pending.delete(sync.pending.keys().next().value);
+
+  if (!sync.base || sync.seq - sync.baseSeq > STATE_MAX_UNACKED) {
+    socket.emit("game:state", {
+      roomId: room.id,
+      seq: sync.seq,
+      state: makeGamePublic(room, view),
+    });
+    return;
+  }
+
+  socket.emit("game:delta", {
+    roomId: room.id,
+    seq: sync.seq,
+    baseSeq: sync.baseSeq,
+    ...buildStateDelta(sync.base, snapshot),
+  });
+}
+
+function ackGameState(socket, seq) {
+  const sync = ensureStateSync(socket);
+  const snapshot = sync.pending.get(seq);
+  if (!snapshot || seq <= sync.baseSeq) return false;
+  sync.base = snapshot;
+  sync.baseSeq = seq;
+  for (const key of [...sync.pending.keys()]) {
+    if (key <= seq) sync.pending.delete(key);
+  }
+  return true;
+}
+
+function emitGameState(roomId) {
+  const room = rooms.get(roomId);
+  if (!room || !room.game) return;
+  for (const player of connectedPlayers(room)) {
+    const socket = io.sockets.sockets.get(player.id);
+    if (socket) emitGameStateTo(room, socket, player.state || null);
+  }
+  for (const spectator of roomSpectators(room)) {
+    const socket = io.sockets.sockets.get(spectator.id);
+    if (socket) emitGameStateTo(room, socket, spectatorView(room, spectator));
+  }
+}
+
+function emitQuestSync(roomId) {
+  const room = rooms.get(roomId);
+  if (!room?.game) return;
+  scheduleRoomPersist();
+  io.to(roomId).emit("quest:sync", {
+    roomId,
+    quest: buildQuestPayload(room),
+  });
+}
+
+function makeRoomPublic(room) {
+  const leader = roomLeader(room);
+  const players = connectedPlayers(room);
+  return {
+    id: room.id,
+    name: room.name,
+    difficulty: room.difficulty,
+    maxPlayers: room.maxPlayers,
+    waveMode: room.waveMode,
+    allowLateJoin: room.allowLateJoin === true,
+    locked: room.locked === true,
+    minPlayers: roomMinPlayers(room),
+    startCountdownS: roomStartCountdownS(room),
+    forceStartAt: forceStartAt(room),
+    countdown: room.countdown ? { startsAt: room.countdown.startsAt, forced: room.countdown.forced } : null,
+    started: room.started,
+    leaderId: leader ? leader.id : null,
+    players: players.map((p) => ({
+      id: p.id,
+      name: p.name,
+      ready: p.ready,
+      leader: p.leader,
+      protocol: playerProtocol(p),
+      state: p.state || null,
+    })),
+    spectators: roomSpectators(room).map((s) => ({ id: s.id, name: s.name, followId: s.followId })),
+    createdAt: room.createdAt || Date.now(),
+  };
+}
+
+function emitRoomUpdate(roomId) {
+  const room = rooms.get(roomId);
+  if (!room) return;
+  if (room.started) scheduleRoomPersist();
+  io.to(roomId).emit("room:update", makeRoomPublic(room));
+}
+
+function serializeRoom(room) {
+  return {
+    id: room.id,
+    name: room.name,
+    code: room.code,
+    difficulty: room.difficulty,
+    maxPlayers: room.maxPlayers,
+    waveMode: room.waveMode,
+    allowLateJoin: room.allowLateJoin === true,
+    locked: room.locked === true,
+    bannedClientIds: roomBans(room),
+    createdAt: room.createdAt,
+    players: room.players.map((p) => ({
+      clientId: p.clientId,
+      name: p.name,
+      leader: p.leader === true,
+      sessionNonce: p.sessionNonce || null,
+      state: p.state || null,
+    })),
+    chat: roomChat(room),
+    nextChatId: Number(room.nextChatId) || 1,
+    game: room.game ? JSON.parse(JSON.stringify(room.game)) : null,
+  };
+}
+
+function restoreRoom(snapshot, now = Date.now()) {
+  if (!snapshot?.id || !snapshot.game || !Array.isArray(snapshot.players)) return null;
+
+  const room = {
+    id: String(snapshot.id),
+    name: String(snapshot.name || "Party").slice(0, 36),
+    code: String(snapshot.code || ""),
+    difficulty: isValidDifficulty(snapshot.difficulty) ? snapshot.difficulty : "medium",
+    maxPlayers: Math.max(1, Math.min(4, Number(snapshot.maxPlayers) || 1)),
+    waveMode: WAVE_MODES.includes(snapshot.waveMode) ? snapshot.waveMode : "server",
+    allowLateJoin: snapshot.allowLateJoin === true,
+    locked: snapshot.locked === true,
+    bannedClientIds: Array.isArray(snapshot.bannedClientIds) ? snapshot.bannedClientIds.map((id) => normalizeClientId(id)) : [],
+    chat: Array.isArray(snapshot.chat) ? snapshot.chat.slice(-CHAT_HISTORY_LIMIT) : [],
+    nextChatId: Number(snapshot.nextChatId) || 1,
+    started: true,
+    createdAt: Number(snapshot.createdAt) || now,
+    emptySince: now,
+    game: snapshot.game,
+    // Nobody is connected after a restart; the reconnect grace starts from boot.
+    players: snapshot.players
+      .filter((p) => p?.clientId)
+      .map((p) => ({
+        id: null,
+        clientId: normalizeClientId(p.clientId),
+        name: String(p.name || "Player").slice(0, 20),
+        ready: true,
+        leader: p.leader === true,
+        connected: false,
+        disconnectedAt: now,
+        // Rooms saved before session tokens get a fresh nonce, so their old slots can't be reclaimed.
+        sessionNonce: p.sessionNonce ? String(p.sessionNonce) : makeSessionNonce(),
+        state: p.state || null,
+      })),
+  };
+  if (room.players.length === 0) return null;
+
+  room.game.questSync = sanitizeQuestSync(room.game.questSync);
+  migrateLegacyEnemies(room.game);
+  room.game.enemies = room.game.enemies.filter((e) => e && enemyArchetype(e));
+  if (!room.game.nextEnemyIds || typeof room.game.nextEnemyIds !== "object") room.game.nextEnemyIds = {};
+  room.game.lastEmitAt = 0;
+  if (!room.game.health || typeof room.game.health !== "object") room.game.health = {};
+  if (!room.game.populations || typeof room.game.populations !== "object") room.game.populations = {};
+  if (!room.game.partyScale || typeof room.game.partyScale !== "object") {
+    room.game.partyScale = { size: room.players.length, pending: null };
+  }
+  // Pending changes are measured from boot, not from before the restart.
+  room.game.partyScale.pending = null;
+  ensureFinalWave(room);
+  ensureFinalWaveParts(room);
+  ensureInventory(room);
+  return room;
+}
+
+function persistRooms(now = Date.now()) {
+  if (persistTimer) clearTimeout(persistTimer);
+  persistTimer = null;
+  lastPersistAt = now;
+
+  const snapshots = [...rooms.values()].filter((r) => r.started && r.game).map((r) => serializeRoom(r));
+  try {
+    persistence.saveRooms(snapshots);
+  } catch (err) {
+    console.error(`Failed to persist rooms (${persistence.name}):`, err.message);
+  }
+}
+
+function scheduleRoomPersist() {
+  if (persistTimer) return;
+  persistTimer = setTimeout(() => persistRooms(), PERSIST_DEBOUNCE_MS);
+}
+
+function restorePersistedRooms() {
+  let snapshots = [];
+  try {
+    snapshots = persistence.loadRooms();
+  } catch (err) {
+    console.error(`Failed to load persisted rooms (${persistence.name}):`, err.message);
+    return;
+  }
+
+  const now = Date.now();
+  for (const snapshot of snapshots) {
+    const room = restoreRoom(snapshot, now);
+    if (room) rooms.set(room.id, room);
+  }
+  if (rooms.size > 0) console.log(`Restored ${rooms.size} room(s) from ${persistence.name} storage`);
+}
+
+function activePlayersOnMap(room, mapId) {
+  return connectedPlayers(room).filter(
+    (p) => p?.state?.map === mapId && Number.isFinite(p.state.x) && Number.isFinite(p.state.y),
+  );
+}
+
+// Placeholder maps only guess at the client's coordinates, so positions on them are not held to
+// their bounds, spawn or entry points.
+function mapCoordinatesKnown(mapId) {
+  return Object.hasOwn(MAPS, mapId) && MAPS[mapId].source !== "placeholder";
+}
+
+function sanitizePlayerState(raw) {
+  if (!raw || typeof raw !== "object") return null;
+  const mapId = String(raw.map || "");
+  const map = Object.hasOwn(MAPS, mapId) ? MAPS[mapId] : null;
+  const x = Number(raw.x);
+  const y = Number(raw.y);
+  if (!map || !Number.isFinite(x) || !Number.isFinite(y)) return null;
+  if (mapCoordinatesKnown(mapId) && (x < 0 || y < 0 || x > map.width || y > map.height)) return null;
+
+  const out = { map: mapId, x, y };
+  for (const [key, field] of Object.entries(PLAYER_STATE_SCHEMA)) {
+    const value = raw[key];
+    if (value === undefined || value === null) continue;
+    if (field.type === "number") {
+      if (Number.isFinite(Number(value))) out[key] = clamp(Number(value), field.min, field.max);
+    } else if (field.type === "string") {
+      out[key] = String(value).slice(0, field.max);
+    } else if (field.type === "boolean") {
+      out[key] = value === true;
+    }
+  }
+  return out;
+}
+
+function mapTransitionAllowed(room, fromMap, toMap) {
+  const edge = MAP_TRANSITIONS.find((t) => t.from === fromMap && t.to === toMap);
+  if (!edge) return false;
+  return !edge.requires || !!room?.game?.questSync?.[edge.requires];
+}
+
+function mapEntryPoint(toMap, fromMap) {
+  const map = MAPS[toMap];
+  return map.entries[fromMap] || map.spawn;
+}
+
+// Before the server knows where a player is, they can only start at the village or the party's checkpoint.
+function startPositionAllowed(room, next) {
+  const starts = [{ map: DEFAULT_MAP, ...MAPS[DEFAULT_MAP].spawn }];
+  if (room.game) starts.push(questCheckpoint(room));
+  return starts.some(
+    (start) => start.map === next.map && (!mapCoordinatesKnown(next.map) || dist(start, next) <= MAP_ENTRY_RADIUS),
+  );
+}
+
+function validatePlayerMove(room, player, next, now = Date.now()) {
+  if (!next) return "invalid_state";
+  const prev = player.state;
+  if (!prev || !MAPS[prev.map]) return startPositionAllowed(room, next) ? null : "start_position";
+
+  if (prev.map !== next.map) {
+    if (!mapTransitionAllowed(room, prev.map, next.map)) return "map_transition";
+    if (!mapCoordinatesKnown(next.map)) return null;
+    return dist(next, mapEntryPoint(next.map, prev.map)) <= MAP_ENTRY_RADIUS ? null : "map_entry";
+  }
+
+  // Without a previous timestamp (fresh join or restored room) there is nothing to measure from.
+  if (!player.lastMoveAt) return null;
+  const elapsed = Math.max(0, now - player.lastMoveAt) / 1000;
+  const maxDist = PLAYER_MAX_SPEED * elapsed + PLAYER_MOVE_SLACK;
+  return dist(prev, next) > maxDist ? "speed" : null;
+}
+
+function fallbackPlayerState(room) {
+  if (room?.game) {
+    const checkpoint = questCheckpoint(room);
+    return { map: checkpoint.map, x: checkpoint.x, y: checkpoint.y };
+  }
+  const spawn = MAPS[DEFAULT_MAP].spawn;
+  return { map: DEFAULT_MAP, x: spawn.x, y: spawn.y };
+}
+
+function makeLobbyPlayer(socketId, clientId, name, leader = false) {
+  return {
+    id: socketId,
+    clientId,
+    name,
+    ready: false,
+    leader,
+    connected: true,
+    disconnectedAt: 0,
+    state: null,
+  };
+}
+
+// `payload` has the room:create shape; the creating socket becomes the leader.
+function createRoom(socket, payload) {
+  const clientId = normalizeClientId(payload.clientId, socket.id);
+  const room = {
+    id: makeRoomId(),
+    name: String(payload.name || "Party").slice(0, 36),
+    code: String(payload.code || ""),
+    difficulty: isValidDifficulty(payload.difficulty) ? payload.difficulty : "medium",
+    maxPlayers: Math.max(1, Math.min(4, Number(payload.maxPlayers) || 1)),
+    waveMode: WAVE_MODES.includes(payload.waveMode) ? payload.waveMode : "server",
+    allowLateJoin: payload.allowLateJoin === true,
+    minPlayers: 1,
+    startCountdownS: START_COUNTDOWN_S,
+    countdown: null,
+    minPlayersAt: 0,
+    locked: false,
+    bannedClientIds: [],
+    started: false,
+    createdAt: Date.now(),
+    emptySince: 0,
+    game: null,
+    players: [makeLobbyPlayer(socket.id, clientId, String(payload.hostName || "Host").slice(0, 20), true)],
+  };
+  // Same validation as room:settings; bad values just keep the defaults.
+  applyRoomSettings(room, { minPlayers: payload.minPlayers, startCountdownS: payload.startCountdownS });
+
+  matchQueue.delete(socket.id);
+  rooms.set(room.id, room);
+  playerRoom.set(socket.id, room.id);
+  joinSocketRoom(socket, room.id);
+  return room;
+}
+
+// Relaxed tickets (queued for MATCH_RELAX_MS) take any difficulty and party size.
+function ticketAccepts(ticket, difficulty, partySize, now = Date.now()) {
+  if (now - ticket.queuedAt >= MATCH_RELAX_MS) return true;
+  return ticket.difficulty === difficulty && ticket.partySize === partySize;
+}
+
+function openMatchRoom(ticket, now = Date.now()) {
+  for (const room of rooms.values()) {
+    if (room.started || room.locked || room.code || room.players.length >= room.maxPlayers) continue;
+    if (roomBans(room).includes(ticket.clientId) || room.players.some((p) => p.clientId === ticket.clientId)) continue;
+    if (ticketAccepts(ticket, room.difficulty, room.maxPlayers, now)) return room;
+  }
+  return null;
+}
+
+function seatMatchedPlayer(room, ticket, created) {
+  matchQueue.delete(ticket.socketId);
+  const socket = io.sockets.sockets.get(ticket.socketId);
+  if (!socket) return;
+  if (!created) {
+    room.players.push(makeLobbyPlayer(socket.id, ticket.clientId, ticket.name));
+    playerRoom.set(socket.id, room.id);
+    joinSocketRoom(socket, room.id);
+  }
+  const player = room.players.find((p) => p.id === socket.id);
+  socket.emit("match:found", {
+    roomId: room.id,
+    created,
+    room: makeRoomPublic(room),
+    sessionToken: issueSessionToken(room, player),
+  });
+}
+
+// Oldest tickets first: fill an open public lobby, otherwise open a new room once enough
+// compatible players are waiting, or once the oldest has waited MATCH_SOLO_MS.
+function updateMatchmaking(now = Date.now()) {
+  for (const ticket of [...matchQueue.values()]) {
+    if (matchQueue.get(ticket.socketId) !== ticket) continue;
+    const socket = io.sockets.sockets.get(ticket.socketId);
+    if (!socket) {
+      matchQueue.delete(ticket.socketId);
+      continue;
+    }
+    if (now - ticket.queuedAt >= MATCH_QUEUE_MAX_MS) {
+      matchQueue.delete(ticket.socketId);
+      socket.emit("match:expired", { waitedMs: now - ticket.queuedAt });
+      continue;
+    }
+
+    const open = openMatchRoom(ticket, now);
+    if (open) {
+      seatMatchedPlayer(open, ticket, false);
+      emitRoomUpdate(open.id);
+      continue;
+    }
+
+    const group = [ticket];
+    for (const other of matchQueue.values()) {
+      if (group.length >= ticket.partySize) break;
+      if (other === ticket || other.clientId === ticket.clientId) continue;
+      if (ticketAccepts(other, ticket.difficulty, ticket.partySize, now)) group.push(other);
+    }
+    if (group.length < ticket.partySize && now - ticket.queuedAt < MATCH_SOLO_MS) continue;
+
+    const room = createRoom(socket, {
+      name: "Quick Play",
+      clientId: ticket.clientId,
+      hostName: ticket.name,
+      difficulty: ticket.difficulty,
+      maxPlayers: ticket.partySize,
+    });
+    seatMatchedPlayer(room, ticket, true);
+    for (const other of group.slice(1)) seatMatchedPlayer(room, other, false);
+    emitRoomUpdate(room.id);
+  }
+}
+
+function roomMinPlayers(room) {
+  return clamp(Math.floor(Number(room.minPlayers) || 1), 1, room.maxPlayers);
+}
+
+function roomStartCountdownS(room) {
+  const seconds = Number(room.startCountdownS);
+  return Number.isFinite(seconds) ? clamp(seconds, 0, START_COUNTDOWN_MAX_S) : START_COUNTDOWN_S;
+}
+
+function startRoomGame(room) {
+  const active = connectedPlayers(room);
+  room.countdown = null;
+  room.started = true;
+  room.waveLeaderId = roomLeader(room)?.id || null;
+  initRoomGame(room);
+  io.to(room.id).emit("game:start", {
+    roomId: room.id,
+    roomName: room.name,
+    difficulty: room.difficulty,
+    playerCount: active.length,
+  });
+  emitRoomUpdate(room.id);
+  emitQuestSync(room.id);
+  emitGameState(room.id);
+}
+
+function startCountdown(room, forced) {
+  const seconds = roomStartCountdownS(room);
+  if (seconds <= 0) {
+    startRoomGame(room);
+    return;
+  }
+  room.countdown = { startsAt: Date.now() + seconds * 1000, forced };
+  io.to(room.id).emit("room:countdown", {
+    roomId: room.id,
+    startsAt: room.countdown.startsAt,
+    startsInMs: seconds * 1000,
+    forced,
+  });
+}
+
+function cancelCountdown(room, reason) {
+  room.countdown = null;
+  io.to(room.id).emit("room:countdown:cancelled", { roomId: room.id, reason });
+  emitRoomUpdate(room.id);
+}
+
+// The leader may force a start FORCE_START_AFTER_S after the lobby reached minPlayers, however often
+// players toggle ready in the meantime; null while the lobby is short of players.
+function forceStartAt(room) {
+  if (!room.minPlayersAt) return null;
+  return room.minPlayersAt + FORCE_START_AFTER_S * 1000;
+}
+
+// Runs for every lobby on each tick and after room:ready. A forced countdown skips the
+// everyone-ready rule, but un-readying (see room:ready) or losing players still cancels it.
+function updateReadyCheck(room, now = Date.now()) {
+  const active = connectedPlayers(room);
+  const countdown = room.countdown;
+  const enough = active.length > 0 && active.length >= roomMinPlayers(room);
+  if (!enough) room.minPlayersAt = 0;
+  else if (!room.minPlayersAt) room.minPlayersAt = now;
+
+  if (countdown?.forced) {
+    if (!enough) cancelCountdown(room, active.length === 0 ? "empty" : "not_enough_players");
+    else if (now >= countdown.startsAt) startRoomGame(room);
+    return;
+  }
+
+  const allReady = active.length > 0 && active.every((p) => p.ready);
+  if (!countdown) {
+    if (enough && allReady) startCountdown(room, false);
+    return;
+  }
+  if (!allReady) cancelCountdown(room, "not_ready");
+  else if (!enough) cancelCountdown(room, "not_enough_players");
+  else if (now >= countdown.startsAt) startRoomGame(room);
+}
+
+function roomSpectators(room) {
+  return Array.isArray(room?.spectators) ? room.spectators : [];
+}
+
+// Spectators see what the player they follow sees, or the whole room when following nobody.
+function spectatorView(room, spectator) {
+  const followed = spectator.followId && connectedPlayers(room).find((p) => p.id === spectator.followId);
+  return followed?.state || null;
+}
+
+function isSpectating(socketId) {
+  const roomId = spectatorRoom.get(socketId);
+  if (!roomId) return false;
+  if (rooms.has(roomId)) return true;
+  spectatorRoom.delete(socketId);
+  return false;
+}
+
+// Moderation names its target by the public id from room:update; clientIds never leave the server.
+function roomMemberById(room, memberId) {
+  const id = String(memberId || "");
+  if (!id) return null;
+  return room.players.find((p) => p.id === id) || roomSpectators(room).find((s) => s.id === id) || null;
+}
+
+function removeBannedSpectators(room, clientId) {
+  for (const spectator of roomSpectators(room).filter((s) => s.clientId === clientId)) {
+    const socket = io.sockets.sockets.get(spectator.id);
+    if (!socket) continue;
+    removeSpectator(socket);
+    socket.emit("room:kicked", { roomId: room.id, reason: "banned" });
+  }
+}
+
+function removeSpectator(socket) {
+  const room = rooms.get(spectatorRoom.get(socket.id));
+  spectatorRoom.delete(socket.id);
+  if (!room) return;
+  room.spectators = roomSpectators(room).filter((s) => s.id !== socket.id);
+  socket.leave(room.id);
+  emitRoomUpdate(room.id);
+}
+
+function pendingLateJoins(room) {
+  return [...lateJoinRequests.values()].filter((r) => r.roomId === room.id).length;
+}
+
+// Newcomers start at the party's current checkpoint with full health.
+function admitLateJoiner(room, request) {
+  lateJoinRequests.delete(request.socketId);
+  clearTimeout(request.timer);
+  const socket = io.sockets.sockets.get(request.socketId);
+  if (!socket) return;
+  if (!rooms.has(room.id) || room.players.length >= room.maxPlayers) {
+    request.ack?.({ ok: false, error: "Room full" });
+    return;
+  }
+
+  const checkpoint = questCheckpoint(room);
+  const player = {
+    id: request.socketId,
+    clientId: request.clientId,
+    name: request.name,
+    ready: true,
+    leader: false,
+    connected: true,
+    disconnectedAt: 0,
+    state: { map: checkpoint.map, x: checkpoint.x, y: checkpoint.y },
+    lastMoveAt: Date.now(),
+  };
+  room.players.push(player);
+  ensurePlayerHealth(room, player);
+  playerRoom.set(socket.id, room.id);
+  room.emptySince = 0;
+  joinSocketRoom(socket, room.id);
+  reassignRoomLeader(room);
+
+  request.ack?.({
+    ok: true,
+    room: makeRoomPublic(room),
+    lateJoin: true,
+    sessionToken: issueSessionToken(room, player),
+    chat: chatHistoryFor(socket, room),
+    spawn: player.state,
+    state: makeGamePublic(room, player.state),
+    quest: buildQuestPayload(room),
+    inventory: makeInventoryPublic(room),
+  });
+  io.to(room.id).emit("room:late-joined", { roomId: room.id, playerId: player.id, name: player.name, state: player.state });
+  emitRoomUpdate(room.id);
+  emitQuestSync(room.id);
+  emitGameState(room.id);
+}
+
+function rejectLateJoiner(request, error) {
+  lateJoinRequests.delete(request.socketId);
+  clearTimeout(request.timer);
+  request.ack?.({ ok: false, error });
+}
+
+// The leader can approve or decline; silence counts as approval after LATE_JOIN_APPROVAL_MS.
+function requestLateJoin(room, socket, clientId, name, ack) {
+  if (lateJoinRequests.has(socket.id)) return ack?.({ ok: false, error: "Join request already pending" });
+  const request = { socketId: socket.id, roomId: room.id, clientId, name, requestedAt: Date.now(), ack, timer: null };
+  const leader = roomLeader(room);
+  lateJoinRequests.set(socket.id, request);
+  if (!leader?.id) {
+    admitLateJoiner(room, request);
+    return;
+  }
+
+  request.timer = setTimeout(() => {
+    if (lateJoinRequests.get(socket.id) === request) admitLateJoiner(room, request);
+  }, LATE_JOIN_APPROVAL_MS);
+  io.to(leader.id).emit("room:join:request", {
+    roomId: room.id,
+    requestId: socket.id,
+    name,
+    timeoutMs: LATE_JOIN_APPROVAL_MS,
+  });
+  socket.emit("room:join:pending", { roomId: room.id, timeoutMs: LATE_JOIN_APPROVAL_MS });
+}
+
+function roomLeader(room) {
+  return ensureRoomLeader(room);
+}
+
+function issueSessionToken(room, player, now = Date.now()) {
+  if (!player.sessionNonce) player.sessionNonce = makeSessionNonce();
+  player.sessionIssuedAt = now;
+  return sessionTokens.issue(room.id, player.clientId, player.sessionNonce, now);
+}
+
+// The slot a token belongs to, or null when it is forged, expired, or for another room or slot.
+function playerForSessionToken(room, token) {
+  const session = sessionTokens.verify(token);
+  if (!session || session.roomId !== room.id) return null;
+  const player = room.players.find((p) => p.clientId === session.clientId);
+  return player && player.sessionNonce === session.nonce ? player : null;
+}
+
+function refreshSessionTokens(room, now = Date.now()) {
+  for (const player of connectedPlayers(room)) {
+    if (now - (Number(player.sessionIssuedAt) || 0) < SESSION_REFRESH_MS) continue;
+    const socket = player.id ? io.sockets.sockets.get(player.id) : null;
+    if (socket) socket.emit("session:token", { roomId: room.id, sessionToken: issueSessionToken(room, player, now) });
+  }
+}
+
+function roomChat(room) {
+  if (!Array.isArray(room.chat)) room.chat = [];
+  return room.chat;
+}
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+function filterChatText(text) {
+  return CHAT_FILTER ? text.replace(CHAT_FILTER, (word) => "*".repeat(word.length)) : text;
+}
+
+function chatRateLimited(socket, now = Date.now()) {
+  const recent = (socket.data.chatTimes || []).filter((at) => now - at < CHAT_RATE_WINDOW_MS);
+  socket.data.chatTimes = recent;
+  if (recent.length >= CHAT_RATE_MAX) return CHAT_RATE_WINDOW_MS - (now - recent[0]);
+  recent.push(now);
+  return 0;
+}
+
+// Builds a chat message from a `text` or `preset` payload; returns { error } when it can't be sent.
+function buildChatMessage(room, sender, payload, now = Date.now()) {
+  const message = {
+    id: Number(room.nextChatId) || 1,
+    at: now,
+    fromId: sender.id,
+    fromName: sender.name,
+    spectator: sender.spectator === true,
+    kind: "text",
+    text: "",
+    preset: null,
+    ping: null,
+  };
+
+  if (payload?.preset !== undefined) {
+    const id = String(payload.preset);
+    if (!Object.hasOwn(QUICK_CHAT_PRESETS, id)) return { error: "Unknown quick-chat preset" };
+    const preset = QUICK_CHAT_PRESETS[id];
+    message.kind = "quick";
+    message.preset = id;
+    message.text = preset.text;
+    if (preset.ping && sender.state) message.ping = { map: sender.state.map, x: sender.state.x, y: sender.state.y };
+  } else {
+    const text = String(payload?.text || "").replace(/\s+/g, " ").trim();
+    if (!text) return { error: "Message is empty" };
+    if (text.length > CHAT_MAX_LENGTH) return { error: `Message is longer than ${CHAT_MAX_LENGTH} characters` };
+    message.text = filterChatText(text);
+  }
+
+  room.nextChatId = message.id + 1;
+  return { message };
+}
+
+function roomBans(room) {
+  return Array.isArray(room?.bannedClientIds) ? room.bannedClientIds : [];
+}
+
+// Shared guard for the leader-only lobby events.
+function leaderRoomFor(socket, payload) {
+  const room = rooms.get(payload?.roomId || playerRoom.get(socket.id));
+  if (!room) return { error: "Room not found" };
+  const leader = roomLeader(room);
+  if (!leader || leader.id !== socket.id) return { error: "Only the leader can do that" };
+  return { room, leader };
+}
+
+function removeRoomMember(room, target, reason) {
+  room.players = room.players.filter((p) => p !== target);
+  const socket = target.id ? io.sockets.sockets.get(target.id) : null;
+  if (target.id) playerRoom.delete(target.id);
+  if (socket) {
+    socket.leave(room.id);
+    socket.emit("room:kicked", { roomId: room.id, reason });
+  }
+  reassignRoomLeader(room);
+}
+
+// Returns an error string, or null once every provided setting has been applied.
+function applyRoomSettings(room, payload) {
+  const next = {};
+  if (payload.difficulty !== undefined) {
+    if (!isValidDifficulty(payload.difficulty)) return "Unknown difficulty";
+    next.difficulty = payload.difficulty;
+  }
+  if (payload.maxPlayers !== undefined) {
+    const maxPlayers = Math.floor(Number(payload.maxPlayers));
+    if (!(maxPlayers >= 1 && maxPlayers <= 4)) return "maxPlayers must be between 1 and 4";
+    if (maxPlayers < room.players.length) return "maxPlayers is below the current player count";
+    next.maxPlayers = maxPlayers;
+  }
+  if (payload.minPlayers !== undefined) {
+    const minPlayers = Math.floor(Number(payload.minPlayers));
+    if (!(minPlayers >= 1 && minPlayers <= (next.maxPlayers || room.maxPlayers))) return "minPlayers must be between 1 and maxPlayers";
+    next.minPlayers = minPlayers;
+  } else if (next.maxPlayers && roomMinPlayers(room) > next.maxPlayers) {
+    next.minPlayers = next.maxPlayers;
+  }
+  if (payload.startCountdownS !== undefined) {
+    const seconds = Number(payload.startCountdownS);
+    if (!(seconds >= 0 && seconds <= START_COUNTDOWN_MAX_S)) return `startCountdownS must be between 0 and ${START_COUNTDOWN_MAX_S}`;
+    next.startCountdownS = seconds;
+  }
+  if (payload.name !== undefined) next.name = String(payload.name || "Party").slice(0, 36);
+  if (payload.code !== undefined) next.code = String(payload.code || "");
+  if (room.started && Object.keys(next).length > 0) return "Settings are fixed once the game starts";
+  if (payload.locked !== undefined) next.locked = payload.locked === true;
+  Object.assign(room, next);
+  return null;
+}
+
+function resolveEnemyAttack(room, enemy, players) {
+  const targetId = enemy.targetId;
+  enemy.targetId = null;
+  const target = players.find((p) => p.clientId === targetId);
+  if (!target || isPlayerDowned(room, target)) return;
+
+  // The swing lands where the target is now, so stepping away during the windup dodges it.
+  if (dist(enemy, target.state) > enemy.r + PLAYER_HIT_RADIUS + ENEMY_ATTACK_REACH) return;
+  const map = MAPS[enemy.map];
+  if (map && !hasLineOfSight(map, enemy, target.state)) return;
+  damagePlayer(room, target, enemy.damage, enemy);
+}
+
+// Moves by (dx, dy) unless that ends inside a solid, sliding along walls on one axis.
+function stepEnemy(enemy, map, dx, dy) {
+  if (!map) {
+    enemy.x += dx;
+    enemy.y += dy;
+    return true;
+  }
+  if (!isBlockedAt(map, enemy.x + dx, enemy.y + dy)) {
+    enemy.x += dx;
+    enemy.y += dy;
+    return true;
+  }
+  if (dx !== 0 && !isBlockedAt(map, enemy.x + dx, enemy.y)) {
+    enemy.x += dx;
+    return true;
+  }
+  if (dy !== 0 && !isBlockedAt(map, enemy.x, enemy.y + dy)) {
+    enemy.y += dy;
+    return true;
+  }
+  return false;
+}
+
+function pathWaypoint(enemy, map, goal, def, dt) {
+  const goalTile = `${Math.floor(goal.x / map.tileSize)},${Math.floor(goal.y / map.tileSize)}`;
+  enemy.pathAge = (Number(enemy.pathAge) || 0) + dt;
+  const due = enemy.pathAge >= PATH_REPATH_S;
+  // After a failed search the next one waits for the repath interval, whatever the goal does
+  // meanwhile, so an unreachable target costs one A* run per interval instead of one per tick.
+  const missing = !Array.isArray(enemy.path) || enemy.path.length === 0;
+  if ((missing && (!enemy.pathFailed || due)) || (due && enemy.pathGoal !== goalTile)) {
+    const path = findPath(map, enemy, goal, def.leash);
+    enemy.path = path || [];
+    enemy.pathFailed = !path;
+    enemy.pathGoal = goalTile;
+    enemy.pathAge = 0;
+  }
+  if (!Array.isArray(enemy.path)) return null;
+  while (enemy.path.length > 0 && dist(enemy, enemy.path[0]) <= PATH_WAYPOINT_REACHED) enemy.path.shift();
+  return enemy.path[0] || null;
+}
+
+function nearestTarget(room, enemy, players) {
+  let target = null;
+  let targetDist = Infinity;
+  for (const player of players) {
+    if (isPlayerDowned(room, player)) continue;
+    const d = dist(enemy, player.state);
+    if (d < targetDist) {
+      targetDist = d;
+      target = player;
+    }
+  }
+  return { target, targetDist };
+}
+
+function ensureBossState(enemy, def) {
+  if (!enemy.boss || typeof enemy.boss !== "object") {
+    enemy.boss = { phase: 0, name: def.boss.phases[0].name, enraged: false, cooldowns: {}, queue: [], action: null };
+  }
+  return enemy.boss;
+}
+
+function bossPhaseIndex(def, enemy) {
+  const ratio = enemy.hp / (enemy.maxHp || 1);
+  let index = 0;
+  def.boss.phases.forEach((phase, i) => {
+    if (ratio <= phase.hpBelow) index = i;
+  });
+  return index;
+}
+
+function enterBossPhase(room, enemy, def, index) {
+  const boss = enemy.boss;
+  const phase = def.boss.phases[index];
+  const diff = roomDifficultyMult(room);
+  boss.phase = index;
+  boss.name = phase.name;
+  boss.enraged = phase.enrage;
+  boss.queue = [...phase.onEnter];
+  enemy.speed = def.speed * phase.speedMult;
+  enemy.damage = Math.max(1, Math.round(def.damage * diff * phase.damageMult));
+  io.to(room.id).emit("boss:phase", {
+    roomId: room.id,
+    enemyId: enemy.id,
+    enemyType: enemy.type,
+    phase: index,
+    name: phase.name,
+    enraged: phase.enrage,
+  });
+}
+
+function bossAbilityReady(enemy, def, ability, targetDist, onEnter) {
+  if ((Number(enemy.boss.cooldowns[ability.id]) || 0) > 0) return false;
+  if (onEnter) return true;
+  if (ability.kind === "summon") return targetDist <= def.aggroRange;
+  return targetDist >= ability.minRange && targetDist <= ability.range;
+}
+
+function startBossAction(room, enemy, def, ability, target) {
+  const boss = enemy.boss;
+  const phase = def.boss.phases[boss.phase];
+  let tx = enemy.x;
+  let ty = enemy.y;
+  if (ability.kind === "dash") {
+    const d = dist(enemy, target.state) || 1;
+    const reach = ability.toTarget ? Math.min(d, ability.distance) : ability.distance;
+    tx = clamp(enemy.x + ((target.state.x - enemy.x) / d) * reach, def.leash.minX, def.leash.maxX);
+    ty = clamp(enemy.y + ((target.state.y - enemy.y) / d) * reach, def.leash.minY, def.leash.maxY);
+  }
+
+  boss.cooldowns[ability.id] = ability.cooldown * phase.cooldownMult;
+  boss.action = { ability: ability.id, t: ability.telegraph, tx, ty, hit: [] };
+  enemy.windup = 0;
+  enemy.targetId = null;
+  enemy.path = null;
+  io.to(room.id).emit("boss:telegraph", {
+    roomId: room.id,
+    enemyId: enemy.id,
+    enemyType: enemy.type,
+    ability: ability.id,
+    kind: ability.kind,
+    durationMs: Math.round(ability.telegraph * 1000),
+    x: enemy.x,
+    y: enemy.y,
+    tx,
+    ty,
+    radius: ability.kind === "dash" ? ability.hitRadius : ability.radius,
+  });
+}
+
+function bossHitPlayers(room, enemy, players, radius, damageMult, hit = null) {
+  const map = MAPS[enemy.map];
+  for (const player of players) {
+    if (hit?.includes(player.clientId) || isPlayerDowned(room, player)) continue;
+    if (dist(enemy, player.state) > radius + PLAYER_HIT_RADIUS) continue;
+    if (map && !hasLineOfSight(map, enemy, player.state)) continue;
+    hit?.push(player.clientId);
+    damagePlayer(room, player, enemy.damage * damageMult, enemy);
+  }
+}
+
+function summonBossAdds(room, enemy, ability) {
+  const key = enemyKey(enemy);
+  const alive = roomEnemies(room).filter((e) => e.alive && e.summonedBy === key).length;
+  const count = Math.min(ability.count, ability.maxAlive - alive);
+  const summonMap = enemyArchetype(ability.enemyType).map;
+  for (let i = 0; i < count && summonMap === enemy.map && mapHasRoomFor(room, summonMap); i += 1) {
+    const a = Math.random() * Math.PI * 2;
+    const pos = { x: enemy.x + Math.cos(a) * ability.radius, y: enemy.y + Math.sin(a) * ability.radius };
+    const add = spawnEnemy(room, ability.enemyType, pos);
+    if (add) add.summonedBy = key;
+  }
+}
+
+// Runs the telegraphed action; returns false once it has finished.
+function runBossAction(room, enemy, def, players, dt) {
+  const action = enemy.boss.action;
+  const ability = def.boss.abilities[action.ability];
+  if (!ability) return false;
+  if (action.t > 0) {
+    action.t -= dt;
+    return true;
+  }
+
+  if (ability.kind === "slam") {
+    bossHitPlayers(room, enemy, players, ability.radius, ability.damageMult);
+    return false;
+  }
+  if (ability.kind === "summon") {
+    summonBossAdds(room, enemy, ability);
+    return false;
+  }
+
+  const goal = { x: action.tx, y: action.ty };
+  const goalDist = dist(enemy, goal);
+  const step = Math.min(ability.speed * dt, goalDist);
+  const dx = ((goal.x - enemy.x) / (goalDist || 1)) * step;
+  const dy = ((goal.y - enemy.y) / (goalDist || 1)) * step;
+  const moved = goalDist > 0 && stepEnemy(enemy, MAPS[enemy.map], dx, dy);
+  bossHitPlayers(room, enemy, players, ability.hitRadius, ability.damageMult, action.hit);
+  return moved && dist(enemy, goal) > 1;
+}
+
+// Returns true when the boss spent this tick on a phase ability instead of the regular chase.
+function updateBossAI(room, enemy, def, players, dt) {
+  const boss = ensureBossState(enemy, def);
+  const phaseIndex = bossPhaseIndex(def, enemy);
+  if (phaseIndex > boss.phase) enterBossPhase(room, enemy, def, phaseIndex);
+  for (const id of Object.keys(boss.cooldowns)) boss.cooldowns[id] = Math.max(0, boss.cooldowns[id] - dt);
+
+  if (boss.action) {
+    if (runBossAction(room, enemy, def, players, dt)) return true;
+    boss.action = null;
+    enemy.hitCd = Math.max(enemy.hitCd, def.attack.cooldown);
+    return true;
+  }
+  if (enemy.windup > 0) return false;
+
+  const { target, targetDist } = nearestTarget(room, enemy, players);
+  if (!target) return false;
+  const map = MAPS[enemy.map];
+  if (map && !hasLineOfSight(map, enemy, target.state)) return false;
+
+  while (boss.queue.length > 0) {
+    const ability = def.boss.abilities[boss.queue.shift()];
+    if (ability && bossAbilityReady(enemy, def, ability, targetDist, true)) {
+      startBossAction(room, enemy, def, ability, target);
+      return true;
+    }
+  }
+  for (const id of def.boss.phases[boss.phase].abilities) {
+    const ability = def.boss.abilities[id];
+    if (bossAbilityReady(enemy, def, ability, targetDist, false)) {
+      startBossAction(room, enemy, def, ability, target);
+      return true;
+    }
+  }
+  return false;
+}
+
+function updateEnemyAI(room, enemy, players, dt) {
+  if (!enemy?.alive) return;
+  const def = enemyArchetype(enemy);
+  if (!def) return;
+  const map = MAPS[enemy.map];
+
+  enemy.animT += dt * 8;
+  enemy.hitCd = Math.max(0, enemy.hitCd - dt);
+
+  if (def.boss && updateBossAI(room, enemy, def, players, dt)) {
+    enemy.x = clamp(enemy.x, def.leash.minX, def.leash.maxX);
+    enemy.y = clamp(enemy.y, def.leash.minY, def.leash.maxY);
+    return;
+  }
+
+  if (enemy.windup > 0) {
+    enemy.windup -= dt;
+    if (enemy.windup <= 0) {
+      enemy.hitCd = def.attack.cooldown;
+      resolveEnemyAttack(room, enemy, players);
+    }
+    return;
+  }
+
+  const { target, targetDist } = nearestTarget(room, enemy, players);
+  if (target && targetDist < def.aggroRange) {
+    // Walk straight while the target is in view, otherwise follow a cached A* path around solids.
+    let goal = target.state;
+    if (map && !hasLineOfSight(map, enemy, goal)) {
+      goal = pathWaypoint(enemy, map, goal, def, dt);
+    } else {
+      enemy.path = null;
+    }
+
+    if (goal) {
+      const goalDist = dist(enemy, goal);
+      const step = Math.min(enemy.speed * dt, goalDist);
+      stepEnemy(enemy, map, ((goal.x - enemy.x) / (goalDist || 1)) * step, ((goal.y - enemy.y) / (goalDist || 1)) * step);
+    }
+
+    if (targetDist < enemy.r + PLAYER_HIT_RADIUS + 14 && enemy.hitCd <= 0) {
+      enemy.windup = def.attack.windup;
+      enemy.targetId = target.clientId;
+    }
+  } else {
+    enemy.path = null;
+    enemy.wanderA += (Math.random() - 0.5) * dt;
+    const moved = stepEnemy(
+      enemy,
+      map,
+      Math.cos(enemy.wanderA) * def.wanderSpeed * dt,
+      Math.sin(enemy.wanderA) * def.wanderSpeed * dt,
+    );
+    if (!moved) enemy.wanderA += Math.PI;
+  }
+
+  enemy.x = clamp(enemy.x, def.leash.minX, def.leash.maxX);
+  enemy.y = clamp(enemy.y, def.leash.minY, def.leash.maxY);
+}
+
+function updateRoomEnemies(room, dt) {
+  const game = room.game;
+  if (!game) return;
+
+  ensureUniqueEnemies(room);
+
+  const playersByMap = new Map();
+  for (const enemy of game.enemies) {
+    if (!playersByMap.has(enemy.map)) playersByMap.set(enemy.map, activePlayersOnMap(room, enemy.map));
+    updateEnemyAI(room, enemy, playersByMap.get(enemy.map), dt);
+  }
+
+  pruneEnemyCorpses(room, dt);
+  updateEnemyPopulations(room, dt);
+  updateFinalWave(room, dt);
+}
+
+function withinMeleeRange(playerState, enemy, range) {
   const dx = playerState.x - enemy.x;
   const dy = playerState.y - enemy.y;
   const maxDist = range + enemy.r + 20;
   return dx * dx + dy * dy <= maxDist * maxDist;
 }
 
-function applyEnemyDamage(enemy, amount) {
-  const dmg = clamp(Math.round(Number(amount) || 0), 1, 999);
-  enemy.hp -= dmg;
-  if (enemy.hp <= 0) {
-    enemy.hp = 0;
-    enemy.alive = false;
-    return true;
+function enemyKey(enemy) {
+  return `${enemy.type}:${enemy.id}`;
+}
+
+function resolvePlayerAttack(room, player, enemy, isHeavy, now = Date.now()) {
+  if (isPlayerDowned(room, player)) return { ok: false, error: "Player is downed" };
+  const combat = ensurePlayerCombat(room, player);
+  const weapon = PLAYER_WEAPONS[combat.weapon];
+  const kind = isHeavy ? "heavy" : "light";
+  const attack = weapon[kind];
+  const key = enemyKey(enemy);
+
+  // A swing that connects with several enemies arrives as several hits a few ms apart.
+  let swing = combat.swing;
+  const sameSwing =
+    swing && swing.kind === kind && now - swing.at <= SWING_MULTI_HIT_MS && swing.targets.length < attack.maxTargets;
+  if (sameSwing && swing.targets.includes(key)) return { ok: false, error: "Already hit" };
+  if (!sameSwing && swing) {
+    const recovery = weapon[swing.kind]?.cooldownMs || attack.cooldownMs;
+    const minGap = recovery * (1 - SWING_COOLDOWN_TOLERANCE);
+    if (now - swing.at < minGap) {
+      return { ok: false, error: "Attack on cooldown", retryInMs: Math.ceil(minGap - (now - swing.at)) };
+    }
+  }
+
+  if (!withinMeleeRange(player.state, enemy, attack.range)) return { ok: false, error: "Out of range" };
+
+  if (!sameSwing) {
+    swing = { kind, at: now, targets: [] };
+    combat.swing = swing;
+  }
+  swing.targets.push(key);
+
+  const crit = Math.random() < attack.critChance || (attack.critOnWindup && enemy.windup > 0);
+  const damage = Math.round(attack.damage * (crit ? attack.critMult : 1));
+  const killed = applyEnemyDamage(enemy, damage);
+  return { ok: true, killed, damage, crit };
+}
+
+function applyEnemyDamage(enemy, amount) {
+  const dmg = clamp(Math.round(Number(amount) || 0), 1, 999);
+  enemy.hp -= dmg;
+  if (enemy.hp <= 0) {
+    enemy.hp = 0;
+    enemy.alive = false;
+    enemy.corpseT = ENEMY_CORPSE_S;
+    return true;
+  }
+  return false;
+}
+
+// `enemyType` is an archetype id or a group such as "wave"; unique enemies ignore `enemyId`.
+function findRoomEnemy(room, enemyType, enemyId) {
+  return (
+    roomEnemies(room).find((e) => {
+      if (!e.alive) return false;
+      const def = enemyArchetype(e);
+      if (!def || (e.type !== enemyType && def.group !== enemyType)) return false;
+      return !!def.id || String(e.id) === String(enemyId);
+    }) || null
+  );
+}
+
+// Returns the loot drops the kill produced.
+function handleEnemyKilled(room, enemy) {
+  const def = enemyArchetype(enemy);
+  const q = room.game.questSync;
+  if (def?.killCounter) q[def.killCounter] += 1;
+  if (isWaveEnemy(enemy)) ensureFinalWave(room).lastKill = { x: enemy.x, y: enemy.y };
+  if (def?.defeatFlag) {
+    q[def.defeatFlag] = true;
+    room.game.enemies = room.game.enemies.filter((e) => e !== enemy);
+  }
+  return rollEnemyLoot(room, enemy);
+}
+
+function resolveEnemyHit(room, socketId, enemyType, payload) {
+  initRoomGame(room);
+  const player = room.players.find((p) => p.id === socketId);
+  if (!player?.state) return { ok: false, error: "Missing player state" };
+
+  const enemy = findRoomEnemy(room, enemyType, payload?.enemyId);
+  if (!enemy) return { ok: false, error: "Enemy not found" };
+  if (player.state.map !== enemy.map) return { ok: false, error: "Wrong map" };
+
+  const attack = resolvePlayerAttack(room, player, enemy, !!payload?.heavy);
+  if (!attack.ok) return attack;
+  const { killed, damage, crit } = attack;
+
+  if (killed) {
+    const drops = handleEnemyKilled(room, enemy);
+    io.to(room.id).emit("enemy:slain", {
+      roomId: room.id,
+      enemyType: enemy.type,
+      enemyId: enemy.id,
+      killerId: socketId,
+      x: enemy.x,
+      y: enemy.y,
+      drops: drops.map((d) => serializeDrop(d)),
+      quest: buildQuestPayload(room),
+    });
+    emitQuestSync(room.id);
   }
-  return false;
+
+  emitGameState(room.id);
+  return { ok: true, killed, hp: enemy.hp, damage, crit };
 }
 
 function pruneRoomStaleMembers(room, now = Date.now()) {
@@ -612,11 +2665,77 @@ function pruneRoomStaleMembers(room, now = Date.now()) {
   ensureRoomLeader(room);
 }
 
+function validateContent() {
+  if (!MAPS[DEFAULT_MAP]) throw new Error(`Default map "${DEFAULT_MAP}" has no geometry file`);
+  for (const checkpoint of QUEST_CHECKPOINTS) {
+    if (!MAPS[checkpoint.map]) throw new Error(`Checkpoint for stage ${checkpoint.stage} names unknown map "${checkpoint.map}"`);
+  }
+  for (const edge of MAP_TRANSITIONS) {
+    if (!MAPS[edge.from] || !MAPS[edge.to]) throw new Error(`Map transition ${edge.from} -> ${edge.to} names an unknown map`);
+  }
+  for (const map of Object.values(MAPS)) {
+    for (const from of Object.keys(map.entries)) {
+      if (!MAP_TRANSITIONS.some((edge) => edge.from === from && edge.to === map.id)) {
+        throw new Error(`Map "${map.id}": entry from "${from}" has no matching map transition`);
+      }
+    }
+  }
+  for (const def of Object.values(ENEMY_TYPES)) {
+    if (!MAPS[def.map]) throw new Error(`Enemy "${def.type}": unknown map "${def.map}"`);
+    if (def.killCounter && !QUEST_NUM_KEYS.includes(def.killCounter)) {
+      throw new Error(`Enemy "${def.type}": unknown killCounter "${def.killCounter}"`);
+    }
+    if (def.defeatFlag && !QUEST_BOOL_KEYS.includes(def.defeatFlag)) {
+      throw new Error(`Enemy "${def.type}": unknown defeatFlag "${def.defeatFlag}"`);
+    }
+    for (const flag of def.spawn?.flags || []) {
+      if (!QUEST_BOOL_KEYS.includes(flag)) throw new Error(`Enemy "${def.type}": unknown spawn flag "${flag}"`);
+    }
+    for (const ability of Object.values(def.boss?.abilities || {})) {
+      if (ability.kind === "summon" && ENEMY_TYPES[ability.enemyType].map !== def.map) {
+        throw new Error(`Enemy "${def.type}": summon "${ability.id}" spawns "${ability.enemyType}" on another map`);
+      }
+    }
+  }
+  if (!ITEMS[FINAL_WAVE_PART_ITEM]) throw new Error(`Final wave part item "${FINAL_WAVE_PART_ITEM}" is not in the item content`);
+  for (const item of Object.values(ITEMS)) {
+    if (item.flag && !QUEST_BOOL_KEYS.includes(item.flag)) throw new Error(`Item "${item.id}": unknown flag "${item.flag}"`);
+  }
+  for (const def of Object.values(ENEMY_TYPES)) {
+    for (const entry of def.loot) {
+      if (!ITEMS[entry.item]) throw new Error(`Enemy "${def.type}": loot references unknown item "${entry.item}"`);
+    }
+  }
+  for (const def of Object.values(WORLD_OBJECTS)) {
+    if (def.item && !ITEMS[def.item]) throw new Error(`World object "${def.id}": unknown item "${def.item}"`);
+    if (!MAPS[def.map]) throw new Error(`World object "${def.id}": unknown map "${def.map}"`);
+    if (!QUEST_RULES[def.flag]?.server) throw new Error(`World object "${def.id}": flag "${def.flag}" must be a server-only quest key`);
+    for (const flag of def.requires.flags) {
+      if (!QUEST_BOOL_KEYS.includes(flag)) throw new Error(`World object "${def.id}": unknown required flag "${flag}"`);
+    }
+  }
+  for (const round of FINAL_WAVE_SCHEDULE) {
+    for (const type of Object.keys(round.spawns)) {
+      if (!ENEMY_TYPES[type]) throw new Error(`Final wave schedule references unknown enemy type "${type}"`);
+    }
+  }
+}
+
+validateContent();
+restorePersistedRooms();
+
 let lastTickAt = Date.now();
-setInterval(() => {
-  const now = Date.now();
+function stepRoomGame(room, dt, now = Date.now()) {
+  updatePartyScale(room, now);
+  updateRoomEnemies(room, dt);
+  updatePartyHealth(room, dt);
+  updateLootDrops(room, dt);
+}
+
+function tickRooms(now = Date.now()) {
   const dt = Math.min((now - lastTickAt) / 1000, 0.2);
   lastTickAt = now;
+  updateMatchmaking(now);
 
   for (const [roomId, room] of rooms.entries()) {
     pruneRoomStaleMembers(room, now);
@@ -636,55 +2755,60 @@ setInterval(() => {
       room.emptySince = 0;
     }
 
+    refreshSessionTokens(room, now);
+    if (!room.started) updateReadyCheck(room, now);
     if (!room.started || !room.game) continue;
-    updateRoomEnemies(room, dt);
+    stepRoomGame(room, dt, now);
 
-    if (now - room.game.phase1.lastEmitAt >= GAME_STATE_EMIT_MS) {
-      room.game.phase1.lastEmitAt = now;
+    if (now - room.game.lastEmitAt >= GAME_STATE_EMIT_MS) {
+      room.game.lastEmitAt = now;
       emitGameState(roomId);
     }
   }
-}, SERVER_TICK_MS);
+
+  if (now - lastPersistAt >= PERSIST_INTERVAL_MS) persistRooms(now);
+}
 
 io.on("connection", (socket) => {
+  // Clients that know protocol:reload should reload the page on it. Protocol 1 clients do not listen for
+  // it and only see a server-side disconnect, which socket.io does not retry, so they sit disconnected
+  // until the player reloads; the reason string is for anyone reading their console.
+  const protocol = negotiateProtocol(socket.handshake.auth);
+  if (!protocol) {
+    socket.emit("protocol:reload", {
+      protocol: PROTOCOL_VERSION,
+      minProtocol: MIN_PROTOCOL_VERSION,
+      reason: "This client is out of date; reload the page",
+    });
+    socket.disconnect(true);
+    return;
+  }
+  socket.data.protocol = protocol;
+  for (const capability of SERVER_CAPABILITIES) {
+    if (!protocol.capabilities.includes(capability)) socket.join(missingCapabilityRoom(capability));
+  }
+  socket.emit("protocol:welcome", {
+    ...protocol,
+    serverProtocol: PROTOCOL_VERSION,
+    serverCapabilities: SERVER_CAPABILITIES,
+  });
+
+  socket.use(([event, ...args], next) => {
+    if (!isSpectating(socket.id) || SPECTATOR_EVENTS.includes(event)) return next();
+    const ack = args[args.length - 1];
+    if (typeof ack === "function") ack({ ok: false, error: "Spectators cannot send gameplay events" });
+  });
+
   socket.on("room:list", (ack) => {
     const list = [...rooms.values()]
-      .filter((r) => !r.started)
+      .filter((r) => !r.locked && (!r.started || (r.allowLateJoin && r.players.length < r.maxPlayers)))
       .map((r) => makeRoomPublic(r));
     if (ack) ack(list);
   });
 
   socket.on("room:create", (payload, ack) => {
-    const clientId = normalizeClientId(payload?.clientId, socket.id);
-    const room = {
-      id: makeRoomId(),
-      name: String(payload.name || "Party").slice(0, 36),
-      code: String(payload.code || ""),
-      difficulty: String(payload.difficulty || "medium"),
-      maxPlayers: Math.max(1, Math.min(4, Number(payload.maxPlayers) || 1)),
-      started: false,
-      createdAt: Date.now(),
-      emptySince: 0,
-      game: null,
-      players: [
-        {
-          id: socket.id,
-          clientId,
-          name: String(payload.hostName || "Host").slice(0, 20),
-          ready: false,
-          leader: true,
-          connected: true,
-          disconnectedAt: 0,
-          state: null,
-        },
-      ],
-    };
-
-    rooms.set(room.id, room);
-    playerRoom.set(socket.id, room.id);
-    socket.join(room.id);
-
-    if (ack) ack({ ok: true, room: makeRoomPublic(room) });
+    const room = createRoom(socket, payload || {});
+    if (ack) ack({ ok: true, room: makeRoomPublic(room), sessionToken: issueSessionToken(room, room.players[0]) });
     emitRoomUpdate(room.id);
   });
 
@@ -695,21 +2819,23 @@ io.on("connection", (socket) => {
     const clientId = normalizeClientId(payload?.clientId, socket.id);
     const existingByClient = room.players.find((p) => p.clientId === clientId);
 
+    if (roomBans(room).includes(clientId)) return ack?.({ ok: false, error: "Banned from this room" });
+    if (existingByClient && playerForSessionToken(room, payload?.sessionToken) !== existingByClient) {
+      return ack?.({ ok: false, error: "Invalid session token" });
+    }
     if (!existingByClient) {
-      if (room.started) return ack?.({ ok: false, error: "Room already started" });
+      if (room.locked) return ack?.({ ok: false, error: "Room is locked" });
+      if (room.started && !room.allowLateJoin) return ack?.({ ok: false, error: "Room already started" });
       if (room.code !== String(payload.code || "")) return ack?.({ ok: false, error: "Wrong room code" });
-      if (room.players.length >= room.maxPlayers) return ack?.({ ok: false, error: "Room full" });
-
-      room.players.push({
-        id: socket.id,
-        clientId,
-        name: String(payload.name || "Player").slice(0, 20),
-        ready: false,
-        leader: false,
-        connected: true,
-        disconnectedAt: 0,
-        state: null,
-      });
+      if (room.players.length + (room.started ? pendingLateJoins(room) : 0) >= room.maxPlayers) {
+        return ack?.({ ok: false, error: "Room full" });
+      }
+      if (room.started) {
+        requestLateJoin(room, socket, clientId, String(payload.name || "Player").slice(0, 20), ack);
+        return;
+      }
+
+      room.players.push(makeLobbyPlayer(socket.id, clientId, String(payload.name || "Player").slice(0, 20)));
     } else {
       const oldSocketId = existingByClient.id;
       existingByClient.id = socket.id;
@@ -719,11 +2845,13 @@ io.on("connection", (socket) => {
       if (oldSocketId && oldSocketId !== socket.id) playerRoom.delete(oldSocketId);
     }
 
+    matchQueue.delete(socket.id);
     playerRoom.set(socket.id, room.id);
     room.emptySince = 0;
-    socket.join(room.id);
-    ensureRoomLeader(room);
-    ack?.({ ok: true, room: makeRoomPublic(room) });
+    joinSocketRoom(socket, room.id);
+    reassignRoomLeader(room);
+    const joined = existingByClient || room.players.find((p) => p.id === socket.id);
+    ack?.({ ok: true, room: makeRoomPublic(room), sessionToken: issueSessionToken(room, joined), chat: chatHistoryFor(socket, room) });
     emitRoomUpdate(room.id);
     if (room.started) {
       emitQuestSync(room.id);
@@ -739,10 +2867,9 @@ io.on("connection", (socket) => {
       return;
     }
 
-    const clientId = normalizeClientId(payload?.clientId, socket.id);
-    const player = room.players.find((p) => p.clientId === clientId);
+    const player = playerForSessionToken(room, payload?.sessionToken);
     if (!player) {
-      ack?.({ ok: false, error: "Player slot not found" });
+      ack?.({ ok: false, error: "Invalid or expired session token" });
       return;
     }
 
@@ -755,14 +2882,17 @@ io.on("connection", (socket) => {
     if (oldSocketId && oldSocketId !== socket.id) playerRoom.delete(oldSocketId);
     playerRoom.set(socket.id, room.id);
     room.emptySince = 0;
-    socket.join(room.id);
-    ensureRoomLeader(room);
+    joinSocketRoom(socket, room.id);
+    reassignRoomLeader(room);
 
     ack?.({
       ok: true,
       room: makeRoomPublic(room),
-      state: room.started && room.game ? makeGamePublic(room) : null,
+      sessionToken: issueSessionToken(room, player),
+      chat: chatHistoryFor(socket, room),
+      state: room.started && room.game ? makeGamePublic(room, player.state || null) : null,
       quest: room.started && room.game ? buildQuestPayload(room) : null,
+      inventory: room.started && room.game ? makeInventoryPublic(room) : null,
     });
 
     emitRoomUpdate(room.id);
@@ -782,26 +2912,30 @@ io.on("connection", (socket) => {
     player.connected = true;
     player.disconnectedAt = 0;
 
+    const wasReady = player.ready === true;
     player.ready = !!payload.ready;
     if (payload.name) player.name = String(payload.name).slice(0, 20);
-    ensureRoomLeader(room);
+    reassignRoomLeader(room);
 
+    if (!room.started) {
+      if (wasReady && !player.ready && room.countdown?.forced) cancelCountdown(room, "not_ready");
+      updateReadyCheck(room);
+    }
     emitRoomUpdate(room.id);
+  });
 
-    const active = connectedPlayers(room);
-    if (active.length > 0 && active.every((p) => p.ready)) {
-      room.started = true;
-      initRoomGame(room);
-      io.to(room.id).emit("game:start", {
-        roomId: room.id,
-        roomName: room.name,
-        difficulty: room.difficulty,
-        playerCount: active.length,
-      });
-      emitRoomUpdate(room.id);
-      emitQuestSync(room.id);
-      emitGameState(room.id);
-    }
+  socket.on("room:force-start", (payload, ack) => {
+    const { room, error } = leaderRoomFor(socket, payload);
+    if (error) return ack?.({ ok: false, error });
+    if (room.started) return ack?.({ ok: false, error: "Room already started" });
+
+    const allowedAt = forceStartAt(room);
+    if (allowedAt === null) return ack?.({ ok: false, error: "Not enough players to force start" });
+    const waitMs = allowedAt - Date.now();
+    if (waitMs > 0) return ack?.({ ok: false, error: "Too early to force start", retryInMs: waitMs });
+    if (!room.countdown?.forced) startCountdown(room, true);
+    ack?.({ ok: true, startsAt: room.countdown ? room.countdown.startsAt : null });
+    emitRoomUpdate(room.id);
   });
 
   socket.on("player:state", (payload) => {
@@ -811,12 +2945,31 @@ io.on("connection", (socket) => {
     const player = room.players.find((p) => p.id === socket.id);
     if (!player) return;
 
-    player.state = payload.state || null;
+    const now = Date.now();
+    const next = sanitizePlayerState(payload.state);
+    let reason = validatePlayerMove(room, player, next, now);
     player.connected = true;
     player.disconnectedAt = 0;
+
+    // Downed players stay where they fell until revived or respawned.
+    if (!reason && next && isPlayerDowned(room, player) && player.state && dist(player.state, next) > 1) reason = "downed";
+    if (reason) {
+      if (!player.state) player.state = fallbackPlayerState(room);
+      player.lastMoveAt = now;
+      socket.emit("player:correct", { roomId: room.id, reason, state: player.state });
+      return;
+    }
+
+    player.state = next;
+    player.lastMoveAt = now;
     socket.to(room.id).emit("player:state", { id: socket.id, state: player.state });
   });
 
+  socket.on("game:ack", (payload) => {
+    const seq = Math.floor(Number(payload?.seq) || 0);
+    if (seq > 0 && hasCapability(socket, "state-delta")) ackGameState(socket, seq);
+  });
+
   socket.on("quest:sync", (payload, ack) => {
     const roomId = payload?.roomId || playerRoom.get(socket.id);
     const room = rooms.get(roomId);
@@ -830,15 +2983,22 @@ io.on("connection", (socket) => {
       stage: Number(payload?.stage) || 0,
       ...(payload?.quest || {}),
     };
-    const changed = mergeQuestSync(room.game.questSync, incoming);
+    const { changed, rejected } = mergeQuestSync(room.game.questSync, incoming, room);
+    if (rejected.length > 0) {
+      logQuestRejections(room, room.players.find((p) => p.id === socket.id), rejected);
+    }
 
-    ensurePhase2Spawns(room);
+    ensureUniqueEnemies(room);
 
     if (changed) {
       emitQuestSync(room.id);
       emitGameState(room.id);
     }
 
+    if (rejected.length > 0) {
+      ack?.(questRejectionAck(room, rejected));
+      return;
+    }
     ack?.({ ok: true, quest: buildQuestPayload(room) });
   });
 
@@ -851,9 +3011,16 @@ io.on("connection", (socket) => {
     }
 
     initRoomGame(room);
-    const changed = mergeQuestSync(room.game.questSync, {
-      gotPelt: payload?.gotPelt === true,
-    });
+    const { changed, rejected } = mergeQuestSync(
+      room.game.questSync,
+      { gotPelt: payload?.gotPelt === true },
+      room,
+    );
+    if (rejected.length > 0) {
+      logQuestRejections(room, room.players.find((p) => p.id === socket.id), rejected);
+      ack?.(questRejectionAck(room, rejected));
+      return;
+    }
 
     if (changed) {
       io.to(room.id).emit("quest:phase1:update", {
@@ -891,22 +3058,21 @@ io.on("connection", (socket) => {
       return;
     }
 
-    const wolfId = Number(payload?.wolfId);
-    const wolf = room.game.phase1.wolves.find((w) => w.id === wolfId && w.alive);
+    const wolf = findRoomEnemy(room, "wolf", payload?.wolfId);
     if (!wolf) {
       ack?.({ ok: false, error: "Wolf not found" });
       return;
     }
 
-    const isHeavy = !!payload?.heavy;
-    if (!withinMeleeRange(player.state, wolf, isHeavy)) {
-      ack?.({ ok: false, error: "Out of range" });
+    const attack = resolvePlayerAttack(room, player, wolf, !!payload?.heavy);
+    if (!attack.ok) {
+      ack?.(attack);
       return;
     }
 
-    const killed = applyEnemyDamage(wolf, payload?.damage);
+    const { killed, damage, crit } = attack;
     if (killed) {
-      room.game.questSync.wolvesSlain += 1;
+      const drops = handleEnemyKilled(room, wolf);
       io.to(room.id).emit("wolf:slain", {
         roomId: room.id,
         wolfId: wolf.id,
@@ -915,12 +3081,13 @@ io.on("connection", (socket) => {
         gotPelt: room.game.questSync.gotPelt,
         x: wolf.x,
         y: wolf.y,
+        drops: drops.map((d) => serializeDrop(d)),
       });
       emitQuestSync(room.id);
     }
 
     emitGameState(room.id);
-    ack?.({ ok: true, killed, hp: wolf.hp });
+    ack?.({ ok: true, killed, hp: wolf.hp, damage, crit });
   });
 
   socket.on("enemy:hit", (payload, ack) => {
@@ -931,84 +3098,34 @@ io.on("connection", (socket) => {
       return;
     }
 
-    initRoomGame(room);
-    const player = room.players.find((p) => p.id === socket.id);
-    if (!player?.state) {
-      ack?.({ ok: false, error: "Missing player state" });
-      return;
-    }
-
-    const enemyType = String(payload?.enemyType || "");
-    const enemyId = payload?.enemyId;
-    let enemy = null;
-
-    if (enemyType === "bandit") {
-      const banditId = Number(enemyId);
-      enemy = room.game.phase2.bandits.find((b) => b.id === banditId && b.alive);
-    } else if (enemyType === "dire") {
-      enemy = room.game.phase2.direWolf && room.game.phase2.direWolf.alive ? room.game.phase2.direWolf : null;
-    } else if (enemyType === "warlord") {
-      enemy = room.game.phase2.warlord && room.game.phase2.warlord.alive ? room.game.phase2.warlord : null;
-    }
-
-    if (!enemy) {
-      ack?.({ ok: false, error: "Enemy not found" });
-      return;
-    }
-
-    if (player.state.map !== enemy.map) {
-      ack?.({ ok: false, error: "Wrong map" });
-      return;
-    }
-
-    const isHeavy = !!payload?.heavy;
-    if (!withinMeleeRange(player.state, enemy, isHeavy)) {
-      ack?.({ ok: false, error: "Out of range" });
-      return;
-    }
-
-    const killed = applyEnemyDamage(enemy, payload?.damage);
-
-    if (killed) {
-      if (enemy.type === "bandit") {
-        room.game.questSync.banditsSlain += 1;
-      } else if (enemy.type === "dire") {
-        room.game.questSync.direDefeated = true;
-        room.game.phase2.direWolf = null;
-      } else if (enemy.type === "warlord") {
-        room.game.questSync.warlordDefeated = true;
-        room.game.phase2.warlord = null;
-      }
-
-      io.to(room.id).emit("enemy:slain", {
-        roomId: room.id,
-        enemyType: enemy.type,
-        enemyId: enemy.id,
-        killerId: socket.id,
-        x: enemy.x,
-        y: enemy.y,
-        quest: buildQuestPayload(room),
-      });
-      emitQuestSync(room.id);
-    }
-
-    emitGameState(room.id);
-    ack?.({ ok: true, killed, hp: enemy.hp });
+    ack?.(resolveEnemyHit(room, socket.id, String(payload?.enemyType || ""), payload));
   });
 
-  socket.on("wave:state", (payload) => {
+  socket.on("wave:state", (payload, ack) => {
     const roomId = payload?.roomId || playerRoom.get(socket.id);
     const room = rooms.get(roomId);
-    if (!room || !room.started) return;
+    if (!room || !room.started || room.waveMode !== "leader") return ack?.({ ok: false, error: "Room not active" });
 
     const leader = roomLeader(room);
-    if (!leader || leader.id !== socket.id) return;
+    if (!leader || leader.id !== socket.id) return ack?.({ ok: false, error: "Only the leader can do that" });
+
+    const state = payload?.state || null;
+    if (state !== null && JSON.stringify(state).length > WAVE_SNAPSHOT_MAX_BYTES) {
+      return ack?.({ ok: false, error: "Wave state is too large" });
+    }
+    const seq = (Number(room.game.waveSnapshot?.seq) || 0) + 1;
+    room.game.waveSnapshot = { seq, leaderClientId: leader.clientId, savedAt: Date.now(), state };
+    if (payload?.complete === true && room.game.questSync.finalWaveStarted && !ensureFinalWave(room).complete) {
+      completeFinalWave(room);
+    }
 
     io.to(room.id).emit("wave:state", {
       roomId: room.id,
       leaderId: leader.id,
-      state: payload?.state || null,
+      seq,
+      state,
     });
+    ack?.({ ok: true, seq });
   });
 
   socket.on("wave:hit", (payload, ack) => {
@@ -1019,6 +3136,11 @@ io.on("connection", (socket) => {
       return;
     }
 
+    if (room.waveMode !== "leader") {
+      ack?.(resolveEnemyHit(room, socket.id, "wave", payload));
+      return;
+    }
+
     const leader = roomLeader(room);
     if (!leader) {
       ack?.({ ok: false, error: "Leader not found" });
@@ -1040,6 +3162,8 @@ io.on("connection", (socket) => {
     ack?.({ ok: true });
   });
 
+  // Key parts are normally loot:pickup drops, but leader-run waves only exist on the leader's client,
+  // so players there still claim their part directly.
   socket.on("wave:part:collect", (payload, ack) => {
     const roomId = payload?.roomId || playerRoom.get(socket.id);
     const room = rooms.get(roomId);
@@ -1047,6 +3171,10 @@ io.on("connection", (socket) => {
       ack?.({ ok: false, error: "Room not active" });
       return;
     }
+    if (room.waveMode !== "leader") {
+      ack?.({ ok: false, error: "Key parts are picked up with loot:pickup" });
+      return;
+    }
 
     initRoomGame(room);
     const player = room.players.find((p) => p.id === socket.id);
@@ -1054,33 +3182,282 @@ io.on("connection", (socket) => {
       ack?.({ ok: false, error: "Player not found" });
       return;
     }
+    if (!room.game.questSync.finalWaveStarted) {
+      ack?.({ ok: false, error: "The final wave has not started" });
+      return;
+    }
+    if (!player.state || player.state.map !== FINAL_WAVE_MAP) {
+      ack?.({ ok: false, error: "Wrong map" });
+      return;
+    }
 
-    const parts = ensureFinalWaveParts(room);
     const clientId = normalizeClientId(player.clientId, socket.id);
-    const already = parts.byClient[clientId] === true;
-    if (!already) {
-      parts.byClient[clientId] = true;
-      parts.collected = clamp(parts.collected + 1, 0, parts.required);
+    const already = ensureFinalWaveParts(room).byClient[clientId] === true;
+    const status = { roomId: room.id, ...collectFinalWavePart(room, player), already };
+    io.to(room.id).emit("wave:part:update", status);
+    emitQuestSync(room.id);
+    emitGameState(room.id);
+    ack?.({ ok: true, ...status });
+  });
+
+  socket.on("world:interact", (payload, ack) => {
+    const roomId = payload?.roomId || playerRoom.get(socket.id);
+    const room = rooms.get(roomId);
+    if (!room || !room.started) {
+      ack?.({ ok: false, error: "Room not active" });
+      return;
+    }
+
+    initRoomGame(room);
+    const player = room.players.find((p) => p.id === socket.id);
+    if (!player) {
+      ack?.({ ok: false, error: "Player not found" });
+      return;
     }
 
-    const complete = parts.collected >= parts.required;
-    if (complete) room.game.questSync.finalWaveKeyTaken = true;
+    const result = interactWorldObject(room, player, String(payload?.objectId || ""));
+    if (!result.ok) {
+      ack?.(result);
+      return;
+    }
 
-    const status = {
+    io.to(room.id).emit("world:changed", {
       roomId: room.id,
-      collected: parts.collected,
-      required: parts.required,
-      complete,
-      already,
-    };
+      objectId: result.objectId,
+      state: result.state,
+      playerId: socket.id,
+      quest: buildQuestPayload(room),
+    });
+    emitQuestSync(room.id);
+    emitGameState(room.id);
+    ack?.(result);
+  });
 
-    io.to(room.id).emit("wave:part:update", status);
+  socket.on("loot:pickup", (payload, ack) => {
+    const roomId = payload?.roomId || playerRoom.get(socket.id);
+    const room = rooms.get(roomId);
+    if (!room || !room.started) {
+      ack?.({ ok: false, error: "Room not active" });
+      return;
+    }
+
+    initRoomGame(room);
+    const player = room.players.find((p) => p.id === socket.id);
+    if (!player) {
+      ack?.({ ok: false, error: "Player not found" });
+      return;
+    }
+
+    const result = pickupLootDrop(room, player, payload?.dropId);
+    if (!result.ok) {
+      ack?.(result);
+      return;
+    }
+
+    io.to(room.id).emit("loot:picked", { roomId: room.id, playerId: socket.id, ...result });
+    if (result.parts) io.to(room.id).emit("wave:part:update", { roomId: room.id, ...result.parts });
     emitQuestSync(room.id);
     emitGameState(room.id);
-    ack?.({ ok: true, ...status });
+    ack?.({ ...result, inventory: makeInventoryPublic(room) });
+  });
+
+  socket.on("player:revive:start", (payload, ack) => {
+    const roomId = payload?.roomId || playerRoom.get(socket.id);
+    const room = rooms.get(roomId);
+    if (!room || !room.started) {
+      ack?.({ ok: false, error: "Room not active" });
+      return;
+    }
+
+    initRoomGame(room);
+    const player = room.players.find((p) => p.id === socket.id);
+    if (!player) {
+      ack?.({ ok: false, error: "Player not found" });
+      return;
+    }
+
+    ack?.(startRevive(room, player, String(payload?.targetId || "")));
+  });
+
+  socket.on("player:revive:cancel", (payload) => {
+    const roomId = payload?.roomId || playerRoom.get(socket.id);
+    const room = rooms.get(roomId);
+    const player = room?.players.find((p) => p.id === socket.id);
+    if (!room?.game || !player) return;
+    cancelReviveBy(room, player, "cancelled");
+  });
+
+  socket.on("chat:send", (payload, ack) => {
+    const spectating = isSpectating(socket.id);
+    const room = rooms.get(spectating ? spectatorRoom.get(socket.id) : playerRoom.get(socket.id));
+    if (!room) return ack?.({ ok: false, error: "Not in a room" });
+
+    const player = room.players.find((p) => p.id === socket.id);
+    const spectator = roomSpectators(room).find((sp) => sp.id === socket.id);
+    const sender = player || (spectator && { id: spectator.id, name: spectator.name, spectator: true, state: null });
+    if (!sender) return ack?.({ ok: false, error: "Not in a room" });
+    if (!hasCapability(socket, "chat")) return ack?.({ ok: false, error: "Chat was not negotiated for this connection" });
+
+    const retryInMs = chatRateLimited(socket);
+    if (retryInMs > 0) return ack?.({ ok: false, error: "Sending too fast", retryInMs });
+
+    const { message, error } = buildChatMessage(room, sender, payload);
+    if (error) return ack?.({ ok: false, error });
+
+    const history = roomChat(room);
+    history.push(message);
+    if (history.length > CHAT_HISTORY_LIMIT) history.splice(0, history.length - CHAT_HISTORY_LIMIT);
+    io.to(room.id).except(missingCapabilityRoom("chat")).emit("chat:message", { roomId: room.id, ...message });
+    if (room.started) scheduleRoomPersist();
+    ack?.({ ok: true, id: message.id });
+  });
+
+  socket.on("match:queue", (payload, ack) => {
+    if (playerRoom.has(socket.id) || isSpectating(socket.id)) return ack?.({ ok: false, error: "Already in a room" });
+
+    const ticket = {
+      socketId: socket.id,
+      clientId: normalizeClientId(payload?.clientId, socket.id),
+      name: String(payload?.name || "Player").slice(0, 20),
+      difficulty: isValidDifficulty(payload?.difficulty) ? payload.difficulty : "medium",
+      partySize: clamp(Math.floor(Number(payload?.partySize) || 2), 1, 4),
+      queuedAt: Date.now(),
+    };
+    matchQueue.set(socket.id, ticket);
+    ack?.({ ok: true, difficulty: ticket.difficulty, partySize: ticket.partySize, relaxAfterMs: MATCH_RELAX_MS });
+    updateMatchmaking(ticket.queuedAt);
+  });
+
+  socket.on("match:cancel", (_payload, ack) => {
+    const cancelled = matchQueue.delete(socket.id);
+    ack?.({ ok: true, cancelled });
+  });
+
+  socket.on("room:kick", (payload, ack) => {
+    const { room, error } = leaderRoomFor(socket, payload);
+    if (error) return ack?.({ ok: false, error });
+
+    const target = room.players.find((p) => p.id === String(payload?.playerId || ""));
+    if (!target) return ack?.({ ok: false, error: "Player not found" });
+    if (target.id === socket.id) return ack?.({ ok: false, error: "Cannot kick yourself" });
+
+    const ban = payload?.ban === true;
+    if (ban && !roomBans(room).includes(target.clientId)) room.bannedClientIds = [...roomBans(room), target.clientId];
+    removeRoomMember(room, target, ban ? "banned" : "kicked");
+    if (ban) removeBannedSpectators(room, target.clientId);
+    ack?.({ ok: true, playerId: target.id, banned: ban });
+    emitRoomUpdate(room.id);
+  });
+
+  socket.on("room:ban", (payload, ack) => {
+    const { room, error } = leaderRoomFor(socket, payload);
+    if (error) return ack?.({ ok: false, error });
+
+    // Spectators can be banned too; the ban sticks to their clientId, so rejoining under a new socket fails.
+    const target = roomMemberById(room, payload?.playerId);
+    if (!target) return ack?.({ ok: false, error: "Player not found" });
+    if (target.id === socket.id) return ack?.({ ok: false, error: "Cannot ban yourself" });
+
+    const clientId = normalizeClientId(target.clientId, target.id);
+    if (!roomBans(room).includes(clientId)) room.bannedClientIds = [...roomBans(room), clientId];
+    if (room.players.includes(target)) removeRoomMember(room, target, "banned");
+    removeBannedSpectators(room, clientId);
+    ack?.({ ok: true, playerId: target.id, banned: true });
+    emitRoomUpdate(room.id);
+  });
+
+  socket.on("room:leader:transfer", (payload, ack) => {
+    const { room, leader, error } = leaderRoomFor(socket, payload);
+    if (error) return ack?.({ ok: false, error });
+
+    const target = connectedPlayers(room).find((p) => p.id === String(payload?.playerId || ""));
+    if (!target) return ack?.({ ok: false, error: "Player not found" });
+
+    leader.leader = false;
+    target.leader = true;
+    reassignRoomLeader(room);
+    ack?.({ ok: true, leaderId: target.id });
+    emitRoomUpdate(room.id);
+  });
+
+  socket.on("room:settings", (payload, ack) => {
+    const { room, error } = leaderRoomFor(socket, payload);
+    if (error) return ack?.({ ok: false, error });
+
+    const settingsError = applyRoomSettings(room, payload || {});
+    if (settingsError) return ack?.({ ok: false, error: settingsError });
+    ack?.({ ok: true, room: makeRoomPublic(room) });
+    emitRoomUpdate(room.id);
+  });
+
+  socket.on("room:spectate", (payload, ack) => {
+    const room = rooms.get(payload?.roomId);
+    if (!room) return ack?.({ ok: false, error: "Room not found" });
+    if (!room.started || !room.game) return ack?.({ ok: false, error: "Room not started" });
+    if (room.code !== String(payload?.code || "")) return ack?.({ ok: false, error: "Wrong room code" });
+    if (playerRoom.has(socket.id)) return ack?.({ ok: false, error: "Already playing in a room" });
+    const clientId = normalizeClientId(payload?.clientId, socket.id);
+    if (roomBans(room).includes(clientId)) return ack?.({ ok: false, error: "Banned from this room" });
+    if (isSpectating(socket.id)) removeSpectator(socket);
+    if (roomSpectators(room).length >= MAX_SPECTATORS) return ack?.({ ok: false, error: "Too many spectators" });
+
+    const spectator = {
+      id: socket.id,
+      clientId,
+      name: String(payload?.name || "Spectator").slice(0, 20),
+      followId: payload?.followId ? String(payload.followId) : null,
+    };
+    matchQueue.delete(socket.id);
+    room.spectators = [...roomSpectators(room), spectator];
+    spectatorRoom.set(socket.id, room.id);
+    joinSocketRoom(socket, room.id);
+
+    ack?.({
+      ok: true,
+      spectating: true,
+      room: makeRoomPublic(room),
+      chat: chatHistoryFor(socket, room),
+      state: makeGamePublic(room, spectatorView(room, spectator)),
+      quest: buildQuestPayload(room),
+    });
+    emitRoomUpdate(room.id);
+  });
+
+  socket.on("room:spectate:leave", (_payload, ack) => {
+    if (!isSpectating(socket.id)) return ack?.({ ok: false, error: "Not spectating" });
+    removeSpectator(socket);
+    ack?.({ ok: true });
+  });
+
+  socket.on("room:join:respond", (payload, ack) => {
+    const request = lateJoinRequests.get(String(payload?.requestId || ""));
+    const room = request && rooms.get(request.roomId);
+    if (!request || !room) {
+      ack?.({ ok: false, error: "Join request not found" });
+      return;
+    }
+    if (roomLeader(room)?.id !== socket.id) {
+      ack?.({ ok: false, error: "Only the leader can answer join requests" });
+      return;
+    }
+
+    if (payload?.approve === false) {
+      rejectLateJoiner(request, "Join request declined");
+    } else {
+      admitLateJoiner(room, request);
+    }
+    ack?.({ ok: true });
   });
 
   socket.on("disconnect", () => {
+    matchQueue.delete(socket.id);
+    const pendingJoin = lateJoinRequests.get(socket.id);
+    if (pendingJoin) rejectLateJoiner(pendingJoin, "Disconnected");
+    if (isSpectating(socket.id)) {
+      removeSpectator(socket);
+      return;
+    }
+
     const roomId = playerRoom.get(socket.id);
     playerRoom.delete(socket.id);
     if (!roomId) return;
@@ -1097,20 +3474,44 @@ io.on("connection", (socket) => {
         rooms.delete(roomId);
         return;
       }
-      ensureRoomLeader(room);
+      reassignRoomLeader(room);
       emitRoomUpdate(roomId);
       return;
     }
 
     player.connected = false;
     player.disconnectedAt = Date.now();
-    ensureRoomLeader(room);
+    reassignRoomLeader(room);
     if (connectedPlayers(room).length === 0) room.emptySince = Date.now();
     emitRoomUpdate(roomId);
   });
 });
 
-const PORT = process.env.PORT || 3001;
-server.listen(PORT, () => {
-  console.log(`Multiplayer server running on http://localhost:${PORT}`);
-});
+function shutdown() {
+  persistRooms();
+  persistence.close();
+  process.exit(0);
+}
+
+// Tests require this file to drive the simulation directly, without the tick loop or a listener.
+if (require.main === module) {
+  setInterval(() => tickRooms(), SERVER_TICK_MS);
+  process.on("SIGINT", shutdown);
+  process.on("SIGTERM", shutdown);
+
+  const PORT = process.env.PORT || 3001;
+  server.listen(PORT, () => {
+    console.log(`Multiplayer server running on http://localhost:${PORT}`);
+  });
+}
+
+module.exports = {
+  rooms,
+  ENEMY_TYPES,
+  MAP_POPULATION_CAP,
+  ENEMY_CORPSE_S,
+  initRoomGame,
+  tickRooms,
+  applyEnemyDamage,
+  handleEnemyKilled,
+};
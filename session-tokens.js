@@ -0,0 +1,46 @@
+const crypto = require("crypto");
+
+function base64url(value) {
+  return Buffer.from(value).toString("base64url");
+}
+
+// Tokens are `<payload>.<signature>`: a base64url JSON payload and its HMAC-SHA256.
+function createSessionTokens({ secret, ttlMs }) {
+  let key = secret;
+  if (!key) {
+    key = crypto.randomBytes(32).toString("hex");
+    console.warn("[session] SESSION_SECRET is not set; using a random secret, so tokens will not survive a restart");
+  }
+
+  const sign = (data) => crypto.createHmac("sha256", key).update(data).digest("base64url");
+
+  return {
+    issue(roomId, clientId, nonce, now = Date.now()) {
+      const data = base64url(JSON.stringify({ r: roomId, c: clientId, n: nonce, e: now + ttlMs }));
+      return `${data}.${sign(data)}`;
+    },
+    // Returns { roomId, clientId, nonce } for a valid, unexpired token, otherwise null.
+    verify(token, now = Date.now()) {
+      const [data, signature] = String(token || "").split(".");
+      if (!data || !signature) return null;
+      const expected = Buffer.from(sign(data));
+      const given = Buffer.from(signature);
+      if (expected.length !== given.length || !crypto.timingSafeEqual(expected, given)) return null;
+
+      let payload = null;
+      try {
+        payload = JSON.parse(Buffer.from(data, "base64url").toString("utf8"));
+      } catch (_err) {
+        return null;
+      }
+      if (!payload || !(Number(payload.e) > now)) return null;
+      return { roomId: String(payload.r), clientId: String(payload.c), nonce: String(payload.n) };
+    },
+  };
+}
+
+function makeSessionNonce() {
+  return crypto.randomBytes(12).toString("base64url");
+}
+
+module.exports = { createSessionTokens, makeSessionNonce };
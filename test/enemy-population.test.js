@@ -0,0 +1,98 @@
+const test = require("node:test");
+const assert = require("node:assert");
+
+process.env.PERSIST_BACKEND = "none";
+const {
+  rooms,
+  ENEMY_TYPES,
+  MAP_POPULATION_CAP,
+  ENEMY_CORPSE_S,
+  initRoomGame,
+  tickRooms,
+  applyEnemyDamage,
+  handleEnemyKilled,
+} = require("../server");
+
+const TICK_MS = 50;
+const HOUR_TICKS = (60 * 60 * 1000) / TICK_MS;
+
+function makeRoom() {
+  const regular = Object.values(ENEMY_TYPES).filter((def) => def.population);
+  const maps = [...new Set(regular.map((def) => def.map))];
+  const players = maps.map((map, i) => {
+    const point = regular.find((def) => def.map === map).population.spawnPoints[0];
+    return {
+      id: `sock_${i}`,
+      clientId: `client_${i}`,
+      name: `P${i}`,
+      ready: true,
+      leader: i === 0,
+      connected: true,
+      state: { map, x: point.x, y: point.y },
+    };
+  });
+  const room = {
+    id: "room_population_test",
+    name: "Population test",
+    difficulty: "medium",
+    maxPlayers: 4,
+    waveMode: "server",
+    started: true,
+    createdAt: Date.now(),
+    players,
+  };
+  initRoomGame(room);
+  room.game.questSync.stage = Math.max(...regular.map((def) => def.population.minStage));
+  return room;
+}
+
+test("enemy populations and corpses stay bounded over an hour of ticks", () => {
+  const room = makeRoom();
+  rooms.set(room.id, room);
+  const caps = Object.values(MAP_POPULATION_CAP).reduce((sum, cap) => sum + cap, 0);
+  let now = Date.now();
+  let kills = 0;
+  let maxEnemies = 0;
+
+  for (let tick = 0; tick < HOUR_TICKS; tick += 1) {
+    now += TICK_MS;
+    tickRooms(now);
+    for (const health of Object.values(room.game.health)) {
+      health.hp = health.maxHp;
+      health.downed = false;
+    }
+
+    // Roughly one kill per map every second keeps the respawn queues busy.
+    if (tick % 20 === 0) {
+      for (const player of room.players) {
+        const target = room.game.enemies.find((e) => e.alive && e.map === player.state.map && !ENEMY_TYPES[e.type].id);
+        if (!target) continue;
+        applyEnemyDamage(target, 999);
+        handleEnemyKilled(room, target);
+        kills += 1;
+      }
+    }
+
+    const alivePerMap = {};
+    for (const enemy of room.game.enemies) {
+      if (enemy.alive) {
+        alivePerMap[enemy.map] = (alivePerMap[enemy.map] || 0) + 1;
+      } else {
+        assert.ok(enemy.corpseT > 0 && enemy.corpseT <= ENEMY_CORPSE_S, `corpse ${enemy.type}:${enemy.id} was not pruned`);
+      }
+    }
+    for (const [map, alive] of Object.entries(alivePerMap)) {
+      if (MAP_POPULATION_CAP[map]) assert.ok(alive <= MAP_POPULATION_CAP[map], `${alive} alive on ${map}`);
+    }
+    maxEnemies = Math.max(maxEnemies, room.game.enemies.length);
+  }
+
+  assert.ok(rooms.has(room.id), "room was dropped during the run");
+  assert.ok(kills > 1000, `only ${kills} kills were simulated`);
+  // Corpses linger for ENEMY_CORPSE_S, so at one kill per map per second there are only a few extra.
+  assert.ok(maxEnemies <= caps + room.players.length * (ENEMY_CORPSE_S + 1), `${maxEnemies} enemies in memory`);
+  for (const [type, state] of Object.entries(room.game.populations)) {
+    assert.ok(state.respawns.length <= ENEMY_TYPES[type].population.target, `${type} respawn queue grew`);
+  }
+  rooms.delete(room.id);
+});
@@ -0,0 +1,54 @@
+const fs = require("fs");
+const path = require("path");
+
+const DEFAULT_WORLD_CONTENT_PATH = path.join(__dirname, "content", "world.json");
+const DEFAULT_INTERACT_RADIUS = 72;
+
+// Each kind has two states: before and after its quest flag is set.
+const WORLD_OBJECT_KINDS = Object.freeze({
+  door: Object.freeze(["locked", "open"]),
+  pickup: Object.freeze(["present", "taken"]),
+  altar: Object.freeze(["empty", "placed"]),
+});
+
+function normalizeWorldObject(id, raw) {
+  if (!raw || typeof raw !== "object") throw new Error(`World object "${id}": definition must be an object`);
+  const kind = String(raw.kind || "");
+  if (!WORLD_OBJECT_KINDS[kind]) throw new Error(`World object "${id}": unknown kind "${kind}"`);
+  if (!raw.map) throw new Error(`World object "${id}": "map" is required`);
+  if (!raw.flag) throw new Error(`World object "${id}": "flag" is required`);
+  const x = Number(raw.x);
+  const y = Number(raw.y);
+  if (!Number.isFinite(x) || !Number.isFinite(y)) throw new Error(`World object "${id}": "x" and "y" are required`);
+
+  return Object.freeze({
+    id,
+    kind,
+    name: String(raw.name || id),
+    map: String(raw.map),
+    x,
+    y,
+    radius: Number(raw.radius) > 0 ? Number(raw.radius) : DEFAULT_INTERACT_RADIUS,
+    flag: String(raw.flag),
+    item: raw.item ? String(raw.item) : null,
+    requires: Object.freeze({
+      stage: Math.max(0, Number(raw.requires?.stage) || 0),
+      flags: Object.freeze(Array.isArray(raw.requires?.flags) ? raw.requires.flags.map(String) : []),
+    }),
+    states: WORLD_OBJECT_KINDS[kind],
+  });
+}
+
+function loadWorldObjects(filePath) {
+  const target = filePath || DEFAULT_WORLD_CONTENT_PATH;
+  const raw = JSON.parse(fs.readFileSync(target, "utf8"));
+  if (!raw || typeof raw !== "object" || Array.isArray(raw)) {
+    throw new Error(`World content ${target} must map object ids to definitions`);
+  }
+
+  const objects = {};
+  for (const [id, def] of Object.entries(raw)) objects[id] = normalizeWorldObject(id, def);
+  return Object.freeze(objects);
+}
+
+module.exports = { loadWorldObjects };